@@ -0,0 +1,313 @@
+#!/usr/bin/env node
+// Command-line converter - converts and validates Draw.io files, Mermaid
+// flowcharts and bot definitions with the same logic as the API, for batch
+// conversions, scripts and pre-commit hooks.
+const fs = require('fs');
+const path = require('path');
+const { convert, validate, getConversionOptions, ATTACHMENTS_DIR } = require('commbox-converter');
+const { loadRuleSet } = require('../src/rules');
+
+const USAGE = `Usage: commbox-bot <convert|validate> <files, directories or globs...> [options]
+
+Options:
+  -o, --out-dir <dir>          write the output files to <dir> (default: next to each input)
+  -c, --config <file>          JSON file with the conversion options - the form fields of the
+                               convert endpoint (default: ./commbox-bot.config.json when it exists)
+      --page-mode <mode>       scripts | subtree
+      --edge-label-mode <mode> child | option
+      --rule-set <name|file>   rule set name in core/rules, or a rule set JSON file
+      --pages <pages>          comma-separated page ids, names or indexes
+      --mxgraph                also write the intermediate mxGraphModel XML (convert)
+      --report                 also write the conversion report as JSON (convert)
+      --strict                 fail on warnings too (validate)
+  -q, --quiet                  print only problems
+  -h, --help                   show this help
+
+Directories are searched for .drawio, .drawio.png, .drawio.svg, .mmd, .mermaid,
+.bot.yaml, .bot.yml and .bot.json files.
+
+Exit codes: 0 - success, 1 - a file failed (errors, or warnings with --strict), 2 - wrong usage`;
+
+const COMMANDS = ['convert', 'validate'];
+// Bot definitions need the .bot. infix - a directory holds other YAML and JSON files too
+const DIAGRAM_EXTENSIONS = ['.drawio', '.drawio.png', '.drawio.svg', '.mmd', '.mermaid', '.bot.yaml', '.bot.yml', '.bot.json'];
+const SKIPPED_DIRECTORIES = ['node_modules', '.git'];
+const CONFIG_FILE = 'commbox-bot.config.json';
+// Flags that set a conversion option, over the config file
+const OPTION_FLAGS = {
+  '--page-mode': 'pageMode',
+  '--edge-label-mode': 'edgeLabelMode',
+  '--rule-set': 'ruleSet',
+  '--pages': 'pages'
+};
+const GLOB_PATTERN = /[*?[]/;
+
+// Error in the command line - exits with 2
+function usageError(message) {
+  const error = new Error(message);
+  error.exitCode = 2;
+  return error;
+}
+
+// Command, inputs and flags of the command line
+function parseArgs(argv) {
+  const args = { command: null, inputs: [], outDir: null, config: null, overrides: {}, mxgraph: false, report: false, strict: false, quiet: false, help: false };
+  const takeValue = (flag, index) => {
+    if (index + 1 >= argv.length || argv[index + 1].startsWith('-')) {
+      throw usageError(`${flag} needs a value`);
+    }
+    return argv[index + 1];
+  };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') {
+      args.help = true;
+    } else if (arg === '-o' || arg === '--out-dir') {
+      args.outDir = takeValue(arg, i++);
+    } else if (arg === '-c' || arg === '--config') {
+      args.config = takeValue(arg, i++);
+    } else if (OPTION_FLAGS[arg]) {
+      args.overrides[OPTION_FLAGS[arg]] = takeValue(arg, i++);
+    } else if (arg === '--mxgraph') {
+      args.mxgraph = true;
+    } else if (arg === '--report') {
+      args.report = true;
+    } else if (arg === '--strict') {
+      args.strict = true;
+    } else if (arg === '-q' || arg === '--quiet') {
+      args.quiet = true;
+    } else if (arg.startsWith('-')) {
+      throw usageError(`Unknown option: ${arg}`);
+    } else if (!args.command) {
+      args.command = arg;
+    } else {
+      args.inputs.push(arg);
+    }
+  }
+  
+  if (args.help) {
+    return args;
+  }
+  if (!COMMANDS.includes(args.command)) {
+    throw usageError(args.command ? `Unknown command: ${args.command}` : 'Missing command');
+  }
+  if (args.inputs.length === 0) {
+    throw usageError('No input files');
+  }
+  return args;
+}
+
+// A rule set given as a path to a JSON file is read from it - relative to baseDir
+function readRuleSetFile(ruleSet, baseDir) {
+  if (typeof ruleSet !== 'string' || !ruleSet.trim().endsWith('.json')) {
+    return ruleSet;
+  }
+  const filePath = path.resolve(baseDir, ruleSet.trim());
+  if (!fs.existsSync(filePath)) {
+    throw usageError(`Rule set file not found: ${ruleSet}`);
+  }
+  return fs.readFileSync(filePath, 'utf-8');
+}
+
+// Conversion options of the config file - the given one, or commbox-bot.config.json
+// of the working directory when there is one
+function loadConfig(configPath) {
+  const filePath = path.resolve(configPath || CONFIG_FILE);
+  if (!fs.existsSync(filePath)) {
+    if (configPath) {
+      throw usageError(`Config file not found: ${configPath}`);
+    }
+    return {};
+  }
+  
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw usageError(`Invalid config file ${filePath}: ${error.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw usageError(`Config file ${filePath} must hold a JSON object`);
+  }
+  return { ...config, ruleSet: readRuleSetFile(config.ruleSet, path.dirname(filePath)) };
+}
+
+// Every file under a directory, as paths joined to it
+function walkDirectory(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return SKIPPED_DIRECTORIES.includes(entry.name) ? [] : walkDirectory(entryPath);
+    }
+    return entry.isFile() ? [entryPath] : [];
+  });
+}
+
+// Files matching a glob - * and ? within a path segment, ** across segments
+function expandGlob(pattern) {
+  const segments = path.normalize(pattern).split(path.sep);
+  const staticCount = segments.findIndex(segment => GLOB_PATTERN.test(segment));
+  const baseDir = segments.slice(0, staticCount).join(path.sep) || '.';
+  const source = segments.join('/')
+    .replace(/[.+^${}()|\\]/g, '\\$&')
+    .replace(/\*\*\//g, '\u0000')
+    .replace(/\*\*/g, '.*')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]')
+    .replace(/\u0000/g, '(?:.*/)?');
+  const regex = new RegExp(`^${source}$`);
+  
+  if (!fs.existsSync(baseDir) || !fs.statSync(baseDir).isDirectory()) {
+    return [];
+  }
+  return walkDirectory(baseDir).filter(file => regex.test(file.split(path.sep).join('/')));
+}
+
+// The files to process - files as given, the diagrams of directories and the
+// matches of globs
+function collectInputs(inputs) {
+  const files = inputs.flatMap(input => {
+    if (fs.existsSync(input)) {
+      if (fs.statSync(input).isDirectory()) {
+        return walkDirectory(input).filter(file => DIAGRAM_EXTENSIONS.some(extension => file.toLowerCase().endsWith(extension)));
+      }
+      return [input];
+    }
+    if (GLOB_PATTERN.test(input)) {
+      return expandGlob(input);
+    }
+    throw usageError(`No such file or directory: ${input}`);
+  });
+  return [...new Set(files.map(file => path.normalize(file)))].sort();
+}
+
+// Output path of an input without its extension - next to it, or in outDir
+function outputBase(file, outDir) {
+  const name = path.basename(file).replace(/(\.drawio)?(\.(xml|png|svg))?$|(\.bot)?\.(mmd|mermaid|ya?ml|json)$/i, '');
+  return path.join(outDir || path.dirname(file), name);
+}
+
+// Write an output file, with the directories it needs
+function writeOutput(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, data);
+  return filePath;
+}
+
+// One line of a finding or warning - its severity, code, cell and message
+function formatFinding(finding) {
+  const cell = finding.cellId ? ` ${finding.cellId}${finding.label ? ` (${finding.label})` : ''}` : '';
+  const page = finding.pageName ? ` [${finding.pageName}]` : '';
+  return `  ${finding.severity} ${finding.code}${page}${cell}: ${finding.message}`;
+}
+
+// Convert a diagram to <name>.commbox.xml, with the mxGraphModel, the report
+// and the embedded attachments (in attachments/<name>/) next to it. The
+// findings of validate - dangling edges, dead ends, ... - come with the
+// conversion's own warnings, each problem once.
+async function convertFile(file, options, args) {
+  const input = fs.readFileSync(file);
+  const base = outputBase(file, args.outDir);
+  // Node ids repeat across inputs - every input has its own folder, under the
+  // configured attachmentBaseUrl or relative to the XML
+  const attachmentsUrl = `${String(options.attachmentBaseUrl || ATTACHMENTS_DIR).trim().replace(/\/+$/, '')}/${encodeURIComponent(path.basename(base))}`;
+  const fileOptions = { ...options, filename: path.basename(file), attachmentBaseUrl: attachmentsUrl };
+  const result = await convert(input, fileOptions);
+  const { findings } = await validate(input, fileOptions);
+  const problems = [...new Set(result.warnings.concat(findings).map(formatFinding))];
+  const written = [writeOutput(`${base}.commbox.xml`, result.xml)];
+  
+  if (args.mxgraph) {
+    written.push(writeOutput(`${base}.mxGraphModel.xml`, result.mxGraphModelXml));
+  }
+  if (args.report) {
+    written.push(writeOutput(`${base}.report.json`, JSON.stringify({
+      file,
+      ruleSet: result.ruleSet,
+      stats: result.stats,
+      warnings: result.warnings,
+      jumps: result.jumps,
+      report: result.report,
+      idManifest: result.idManifest
+    }, null, 2)));
+  }
+  result.files.forEach(attachment => {
+    written.push(writeOutput(path.join(path.dirname(base), ATTACHMENTS_DIR, path.basename(base), attachment.name), attachment.data));
+  });
+  
+  return { problems, written };
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  
+  const options = {
+    ...loadConfig(args.config),
+    ...args.overrides,
+    ...(args.overrides.ruleSet && { ruleSet: readRuleSetFile(args.overrides.ruleSet, process.cwd()) }),
+    loadRuleSet
+  };
+  // Wrong options fail the whole run up front, not every file
+  try {
+    getConversionOptions(options, loadRuleSet);
+  } catch (error) {
+    throw usageError(error.message);
+  }
+  
+  const files = collectInputs(args.inputs);
+  if (files.length === 0) {
+    throw usageError('No diagram files found');
+  }
+  
+  let failed = 0;
+  for (const file of files) {
+    try {
+      if (args.command === 'validate') {
+        const { summary, findings } = await validate(fs.readFileSync(file), { ...options, filename: path.basename(file) });
+        const fails = summary.errors > 0 || (args.strict && summary.warnings > 0);
+        if (fails || (!args.quiet && findings.length > 0)) {
+          console.log(`${fails ? '✖' : '⚠'} ${file}: ${summary.errors} errors, ${summary.warnings} warnings`);
+          findings.forEach(finding => console.log(formatFinding(finding)));
+        } else if (!args.quiet) {
+          console.log(`✔ ${file}`);
+        }
+        failed += fails ? 1 : 0;
+      } else {
+        const { problems, written } = await convertFile(file, options, args);
+        if (!args.quiet) {
+          console.log(`✔ ${file} → ${written[0]}`);
+          written.slice(1).forEach(output => console.log(`  ${output}`));
+        }
+        if (problems.length > 0) {
+          console.error(`⚠ ${file}:`);
+          problems.forEach(problem => console.error(problem));
+        }
+      }
+    } catch (error) {
+      failed++;
+      console.log(`✖ ${file}: ${error.message}`);
+    }
+  }
+  
+  if (!args.quiet || failed > 0) {
+    console.log(`${files.length - failed}/${files.length} files ${args.command === 'validate' ? 'valid' : 'converted'}`);
+  }
+  return failed > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2))
+  .then(exitCode => {
+    process.exitCode = exitCode;
+  })
+  .catch(error => {
+    console.error(`commbox-bot: ${error.message}`);
+    if (error.exitCode === 2) {
+      console.error('Run commbox-bot --help for the usage');
+    }
+    process.exitCode = error.exitCode || 1;
+  });
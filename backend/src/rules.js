@@ -0,0 +1,36 @@
+// Node-type rule sets of the server and the command line - <name>.json files in
+// core/rules, next to the converter's built-in default.json
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_RULES } = require('commbox-converter');
+
+const RULES_DIR = path.dirname(require.resolve('commbox-converter/rules/default.json'));
+
+// Rule set JSON of a name - the converter's loadRuleSet option
+function loadRuleSet(name) {
+  if (!/^[\w-]+$/.test(name)) {
+    throw new Error(`Invalid rule set name: ${name}`);
+  }
+  
+  const filePath = path.join(RULES_DIR, `${name}.json`);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Rule set not found: ${name}`);
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+// Every rule set with its description and number of rules, the default first
+function listRuleSets() {
+  const files = fs.readdirSync(RULES_DIR).filter(file => file.endsWith('.json'));
+  const ruleSets = [['default', DEFAULT_RULES], ...files
+    .map(file => path.basename(file, '.json'))
+    .filter(name => name !== 'default')
+    .map(name => [name, loadRuleSet(name)])];
+  return ruleSets.map(([name, ruleSet]) => ({
+    name,
+    description: ruleSet.description || '',
+    rulesCount: Array.isArray(ruleSet.rules) ? ruleSet.rules.length : 0
+  }));
+}
+
+module.exports = { RULES_DIR, loadRuleSet, listRuleSets };
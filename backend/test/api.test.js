@@ -0,0 +1,91 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const app = require('../src/index');
+
+const FLOW = 'flowchart TD\n  start([התחלה]) --> menu[איך אפשר לעזור?]\n  menu -->|נציג| agent[מעבר לנציג]';
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+// Post a form to a converter endpoint - files as { field: [content, filename] }
+async function post(endpoint, files, fields = {}) {
+  const form = new FormData();
+  Object.entries(files).forEach(([field, [content, filename]]) => form.append(field, new Blob([content]), filename));
+  Object.entries(fields).forEach(([field, value]) => form.append(field, value));
+  const response = await fetch(`${baseUrl}/api/converter/${endpoint}`, { method: 'POST', body: form });
+  return { status: response.status, body: await response.json() };
+}
+
+describe('API', () => {
+  it('answers the health check', async () => {
+    const response = await fetch(`${baseUrl}/health`);
+    
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).status, 'OK');
+  });
+  
+  it('lists the built-in rule set first', async () => {
+    const response = await fetch(`${baseUrl}/api/converter/rule-sets`);
+    const { ruleSets } = await response.json();
+    
+    assert.equal(ruleSets[0].name, 'default');
+    assert.ok(ruleSets[0].rulesCount > 0);
+  });
+  
+  it('converts an uploaded flow', async () => {
+    const { status, body } = await post('convert', { drawioFile: [FLOW, 'bot.mmd'] });
+    
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.match(body.xml, /<Section Name="Scripts"/);
+    assert.match(body.filename, /^commbox_bot_\d+\.xml$/);
+  });
+  
+  it('answers a request without a file with 400', async () => {
+    const { status, body } = await post('convert', {});
+    
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+  });
+  
+  it('answers options and files that can\'t be used with 400', async () => {
+    const options = await post('convert', { drawioFile: [FLOW, 'bot.mmd'] }, { pageMode: 'pages' });
+    const flow = await post('validate', { drawioFile: ['flowchart TD\n  a --> b -->', 'bot.mmd'] });
+    const commbox = await post('import', { commboxFile: ['<Section Name="Scripts"/>', 'export.xml'] });
+    
+    assert.deepEqual([options.status, flow.status, commbox.status], [400, 400, 400]);
+  });
+  
+  it('answers pages that are not in the file with 400', async () => {
+    const convert = await post('convert', { drawioFile: [FLOW, 'bot.mmd'] }, { pages: JSON.stringify(['nope']) });
+    const validate = await post('validate', { drawioFile: [FLOW, 'bot.mmd'] }, { pages: JSON.stringify(['nope']) });
+    
+    assert.deepEqual([convert.status, validate.status], [400, 400]);
+    assert.match(convert.body.error, /requested pages/);
+  });
+  
+  it('reads the file as the format field says', async () => {
+    const mermaid = await post('pages', { drawioFile: [FLOW, 'pasted.yaml'] }, { format: 'mermaid' });
+    const unknown = await post('pages', { drawioFile: ['sequenceDiagram\n  A->>B: hi', 'pasted.xml'] });
+    
+    assert.equal(mermaid.status, 200);
+    assert.equal(mermaid.body.pages[0].nodes.length, 3);
+    assert.equal(unknown.status, 400);
+  });
+  
+  it('validates a flow', async () => {
+    const { status, body } = await post('validate', { drawioFile: [FLOW, 'bot.mmd'] });
+    
+    assert.equal(status, 200);
+    assert.equal(body.valid, true);
+    assert.equal(body.stats.nodesCount, 3);
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', 'bin', 'commbox-bot.js');
+const PIXEL = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAADElEQVR4nGP4z8AAAAMBAQDJ/pLvAAAAAElFTkSuQmCC';
+// A diagram with an embedded image - the same node ids in every copy
+const DIAGRAM = `<mxfile><diagram id="p1" name="Main"><mxGraphModel><root><mxCell id="0"/><mxCell id="1" parent="0"/>
+<mxCell id="start" value="התחלה" style="ellipse;" vertex="1" parent="1"/>
+<mxCell id="img" value="תמונה" style="shape=image;image=data:image/png,${PIXEL};" vertex="1" parent="1"/>
+<mxCell id="bye" value="סיום" style="ellipse;" vertex="1" parent="1"/>
+<mxCell id="e1" edge="1" source="start" target="img" parent="1"/>
+<mxCell id="e2" edge="1" source="img" target="bye" parent="1"/>
+</root></mxGraphModel></diagram></mxfile>`;
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'commbox-bot-'));
+  fs.mkdirSync(path.join(dir, 'flows'));
+  fs.writeFileSync(path.join(dir, 'flows', 'one.drawio'), DIAGRAM);
+  fs.writeFileSync(path.join(dir, 'flows', 'two.drawio'), DIAGRAM);
+  fs.writeFileSync(path.join(dir, 'dangling.drawio'), DIAGRAM.replace('target="bye"', 'target="nowhere"'));
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { cwd: dir, encoding: 'utf-8' });
+const outputs = () => fs.readdirSync(path.join(dir, 'out'), { recursive: true }).map(file => file.split(path.sep).join('/')).sort();
+
+describe('commbox-bot', () => {
+  it('converts every diagram of a directory, with the attachments of each input in a folder of its own', () => {
+    const result = run('convert', 'flows', '--out-dir', 'out');
+    const attachments = folder => outputs().filter(file => file.startsWith(`attachments/${folder}/`)).map(file => path.basename(file));
+    
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /2\/2 files converted/);
+    assert.ok(outputs().includes('one.commbox.xml') && outputs().includes('two.commbox.xml'));
+    assert.equal(attachments('one').length, 1);
+    assert.deepEqual(attachments('two'), attachments('one'));
+  });
+  
+  it('refers to the attachments where it writes them', () => {
+    run('convert', 'flows', '--out-dir', 'out');
+    const urls = name => fs.readFileSync(path.join(dir, 'out', `${name}.commbox.xml`), 'utf-8').match(/attachments\/[^&"]+/g);
+    
+    assert.deepEqual(urls('one'), [`attachments/one/${path.basename(urls('one')[0])}`]);
+    urls('one').concat(urls('two')).forEach(url => assert.ok(fs.existsSync(path.join(dir, 'out', decodeURIComponent(url))), url));
+  });
+  
+  it('prints the validation findings of a conversion on stderr', () => {
+    const result = run('convert', 'dangling.drawio', '--out-dir', 'out', '--quiet');
+    
+    assert.equal(result.status, 0);
+    assert.equal(result.stdout, '');
+    assert.match(result.stderr, /error dangling-edge \[Main\] e2/);
+  });
+  
+  it('fails validation on errors', () => {
+    const result = run('validate', 'dangling.drawio');
+    
+    assert.equal(result.status, 1);
+    assert.match(result.stdout, /dangling-edge/);
+  });
+  
+  it('exits with 2 on wrong usage', () => {
+    assert.equal(run('publish', 'flows').status, 2);
+    assert.equal(run('convert').status, 2);
+  });
+});
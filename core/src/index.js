@@ -0,0 +1,3577 @@
+// Commbox bot converter - turns Draw.io diagrams into Commbox Scripts XML and
+// back. Nothing here needs Node, so the server, the command line and the
+// browser all convert with this module (see the programmatic API at the end).
+const pako = require('pako');
+const yaml = require('js-yaml');
+const { parseXml, buildXml } = require('./xml');
+const {
+  FIXED_PROCESSES_TEXT,
+  FIXED_NODE_IDS,
+  SCRIPT_SETTINGS_DEFAULTS,
+  GLOBAL_HANDLERS_DEFAULTS
+} = require('./settings');
+
+const PAGE_MODES = ['scripts', 'subtree'];
+const EDGE_LABEL_MODES = ['child', 'option'];
+const NODE_TYPES = ['start', 'message', 'decision', 'input', 'transfer', 'unknown', 'error', 'end'];
+
+// The built-in node-type rule set - any other is passed in (see resolveRuleSet)
+const DEFAULT_RULES = require('../rules/default.json');
+const DEFAULT_RULE_SET = compileRuleSet(DEFAULT_RULES, 'default');
+
+
+// Decision (rhombus) node conditions. A decision label is either a full
+// expression (status == "VIP") with yes/no edges, or just a field (status, or
+// {{input label}} for a collected input) with an operator and value on every edge.
+// A plain word alone is a menu title, unless an edge has an explicit operator.
+const FIELD_SOURCE = '\\{\\{[^}]+\\}\\}|[\\p{L}_][\\p{L}\\p{N}_.]*';
+const OPERATOR_SOURCE = '==|!=|>=|<=|>|<|=|contains';
+const EXPRESSION_PATTERN = new RegExp(`^(${FIELD_SOURCE})\\s*(${OPERATOR_SOURCE})\\s*(.+?)\\s*\\??$`, 'u');
+const FIELD_PATTERN = new RegExp(`^(${FIELD_SOURCE})\\s*\\??$`, 'u');
+const BRANCH_PATTERN = new RegExp(`^(${OPERATOR_SOURCE})?\\s*(.+)$`, 'u');
+const TRUE_LABELS = ['כן', 'yes', 'true', 'אמת'];
+const DEFAULT_LABELS = ['else', 'default', 'otherwise', 'אחרת', 'ברירת מחדל', 'לא', 'no', 'false', 'שקר'];
+const ROOT_NODE_ID = 'node_0';
+const SCRIPT_NODE_SETTINGS = ['endNodeId', 'genericDelayJumpNode'];
+const HANDLER_KINDS = ['transfer', 'error', 'unknown'];
+// Commbox flags of a handler node by its type
+const HANDLER_FLAGS = {
+  message: {},
+  transfer: { step: 'agent_node' },
+  error: { error: true },
+  unknown: { unknown: '1' },
+  end: { end: '2' }
+};
+
+// Attachment types by file extension - any other URL is a link
+const ATTACHMENT_IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'svg', 'bmp'];
+const ATTACHMENT_FILE_EXTENSIONS = ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'csv', 'txt', 'zip'];
+// Embedded attachments (data: URIs) by MIME type - saved to this folder of the
+// attachments bundle with the matching extension
+const ATTACHMENT_MIME_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+  'image/bmp': 'bmp',
+  'application/pdf': 'pdf'
+};
+const ATTACHMENTS_DIR = 'attachments';
+const DATA_URI_PATTERN = /^data:([\w.+-]+\/[\w.+-]+)((?:;[^,;]*)*),(.*)$/s;
+
+// HTML labels - bodyHtml keeps only the formatting Commbox supports (bold,
+// italics, links, line breaks and lists); block tags become line breaks
+const HTML_ALLOWED_TAGS = { b: 'b', strong: 'b', i: 'i', em: 'i', a: 'a', ul: 'ul', ol: 'ol', li: 'li' };
+const HTML_LIST_TAGS = ['ul', 'ol', 'li'];
+const HTML_BLOCK_TAGS = ['div', 'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'tr', 'table'];
+const HTML_ENTITIES = { nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const HTML_TAG_PATTERN = /<\/?[a-z][^>]*>/gi;
+const LINK_PATTERN = /^(https?:|mailto:|tel:)/i;
+// A "---" line splits a label into the node's title and its message body
+const LABEL_SEPARATOR = /<br>\s*-{3,}\s*<br>/;
+
+// Keywords and shapes used when turning Commbox nodes back into Draw.io cells.
+// The keywords must be ones that detectNodeType recognises.
+const TYPE_KEYWORDS = {
+  transfer: 'מעבר לנציג',
+  unknown: 'לא ידוע',
+  error: 'שגיאה',
+  end: 'סיום',
+  input: 'קלט'
+};
+const TYPE_STYLES = {
+  message: 'rounded=1;whiteSpace=wrap;fillColor=#ffffff;strokeColor=#666666;',
+  transfer: 'rounded=1;whiteSpace=wrap;fillColor=#dae8fc;strokeColor=#6c8ebf;',
+  unknown: 'rounded=1;whiteSpace=wrap;fillColor=#f5f5f5;strokeColor=#999999;',
+  error: 'rounded=1;whiteSpace=wrap;fillColor=#f8cecc;strokeColor=#b85450;',
+  end: 'ellipse;whiteSpace=wrap;fillColor=#d5e8d4;strokeColor=#82b366;',
+  decision: 'rhombus;whiteSpace=wrap;fillColor=#e1d5e7;strokeColor=#9673a6;',
+  input: 'shape=parallelogram;perimeter=parallelogramPerimeter;whiteSpace=wrap;fillColor=#fff2cc;strokeColor=#d6b656;'
+};
+const EDGE_STYLE = 'edgeStyle=orthogonalEdgeStyle;rounded=0;endArrow=classic;';
+const LAYOUT = { nodeWidth: 160, nodeHeight: 60, horizontalGap: 40, verticalGap: 60, margin: 40 };
+
+// Text flow sources - Mermaid flowcharts and bot definitions (YAML or JSON),
+// drawn as Draw.io diagrams for the converter (see readFlowSource). Files are
+// told apart by their extension, pasted text by its content.
+const SOURCE_FORMATS = ['drawio', 'mermaid', 'yaml', 'json'];
+const SOURCE_EXTENSIONS = {
+  '.drawio': 'drawio',
+  '.xml': 'drawio',
+  '.mmd': 'mermaid',
+  '.mermaid': 'mermaid',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+  '.json': 'json'
+};
+const MERMAID_HEADER = /^(flowchart|graph)(\s+(TB|TD|BT|LR|RL))?$/i;
+// Draw.io styles of the shapes a bot definition node or a Mermaid node can have
+const SHAPE_STYLES = {
+  rectangle: 'whiteSpace=wrap;',
+  rounded: TYPE_STYLES.message,
+  ellipse: 'ellipse;whiteSpace=wrap;',
+  rhombus: TYPE_STYLES.decision,
+  parallelogram: TYPE_STYLES.input,
+  trapezoid: 'shape=trapezoid;perimeter=trapezoidPerimeter;whiteSpace=wrap;',
+  hexagon: 'shape=hexagon;perimeter=hexagonPerimeter2;whiteSpace=wrap;',
+  cylinder: 'shape=cylinder3;whiteSpace=wrap;',
+  container: 'swimlane;whiteSpace=wrap;startSize=30;'
+};
+// Mermaid node shapes - the brackets around the label. Longer openings first,
+// as "((" also starts with "(".
+const MERMAID_SHAPES = [
+  ['(((', ')))', 'ellipse'],
+  ['((', '))', 'ellipse'],
+  ['([', '])', 'ellipse'],
+  ['[[', ']]', 'rectangle'],
+  ['[(', ')]', 'cylinder'],
+  ['[/', '/]', 'parallelogram'],
+  ['[/', '\\]', 'trapezoid'],
+  ['[\\', '\\]', 'parallelogram'],
+  ['[\\', '/]', 'trapezoid'],
+  ['{{', '}}', 'hexagon'],
+  ['[', ']', 'rectangle'],
+  ['(', ')', 'rounded'],
+  ['{', '}', 'rhombus'],
+  ['>', ']', 'rectangle']
+];
+const MERMAID_ID_PATTERN = /^[\p{L}\p{N}_]+(?:[-.][\p{L}\p{N}_]+)*/u;
+// Mermaid links - arrows with the label after them (-->|label|), or written
+// inside them (-- label -->). ~~~ only places nodes and is no connection.
+const MERMAID_LINK_PATTERN = /^(<?)(-{2,}>|-{3,}|={2,}>|={3,}|-\.+->|-\.+-|--[ox](?=\s)|~{3,})(?:\s*\|([^|]*)\|)?/;
+const MERMAID_TEXT_LINK_PATTERN = /^(<?)(?:--|==|-\.)\s*(.+?)\s*(-{2,}>|-{3,}|={2,}>|={3,}|\.+->|\.+-)/;
+const MERMAID_IGNORED_STATEMENTS = /^(classDef|class|style|linkStyle|click|direction|accTitle|accDescr)\b/;
+// Space around the nodes of a container drawn for a text source - header is its title bar
+const CONTAINER_PADDING = { side: 20, header: 30 };
+
+// PNG and SVG exports of Draw.io ("Include a copy of my diagram") keep the
+// mxfile XML in a PNG text chunk with one of these keywords, or in the content
+// attribute of the SVG root
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const PNG_DIAGRAM_KEYWORDS = ['mxfile', 'mxGraphModel'];
+
+// Updating an existing export (see mergeScriptArray): node properties that come
+// from the diagram, properties it sets that may have been edited in Commbox,
+// and the properties every node has
+const MERGE_DIAGRAM_KEYS = ['text', 'parent', 'bodyHtml', 'step', 'conditions', 'defaultNodeId', 'jumpNode', 'end', 'error', 'unknown'];
+const MERGE_SETTING_KEYS = ['d_e', 'attachments', 'buttonDisplayMode'];
+const MERGE_NODE_BASE_KEYS = ['id', 'text', 'parent', 'rI', 'addChannelStateMessage', 'attachments'];
+
+// Bytes of an input - strings as UTF-8, ArrayBuffers and typed arrays (Node
+// Buffers, the contents of a browser File) as they are
+function toBytes(input) {
+  if (typeof input === 'string') {
+    return new TextEncoder().encode(input);
+  }
+  if (input instanceof Uint8Array) {
+    return input;
+  }
+  if (input instanceof ArrayBuffer) {
+    return new Uint8Array(input);
+  }
+  if (ArrayBuffer.isView(input)) {
+    return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+  }
+  throw new Error('Input must be a string, an ArrayBuffer or a Uint8Array');
+}
+
+// Text of an input - strings as they are, bytes as UTF-8
+function toText(input) {
+  return typeof input === 'string' ? input : new TextDecoder('utf-8').decode(toBytes(input));
+}
+
+// One character per byte - PNG text chunks are Latin-1
+function bytesToLatin1(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i++) {
+    text += String.fromCharCode(bytes[i]);
+  }
+  return text;
+}
+
+// Base64 to bytes and back - Buffer where there is one, atob/btoa in browsers
+function base64ToBytes(base64) {
+  if (typeof Buffer !== 'undefined') {
+    return Buffer.from(base64, 'base64');
+  }
+  const binary = atob(base64.replace(/[^A-Za-z0-9+/]/g, ''));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+function bytesToBase64(bytes) {
+  if (typeof Buffer !== 'undefined') {
+    return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString('base64');
+  }
+  return btoa(bytesToLatin1(bytes));
+}
+
+// Helper function to decode Draw.io compressed content
+function decodeDrawio(compressedContent) {
+  try {
+    // Remove whitespace
+    const trimmed = compressedContent.trim();
+    
+    // Decode base64
+    const decoded = base64ToBytes(trimmed);
+    
+    // Decompress using pako
+    const decompressed = pako.inflateRaw(decoded, { to: 'string' });
+    
+    // URL decode
+    const urlDecoded = decodeURIComponent(decompressed);
+    
+    return urlDecoded;
+  } catch (error) {
+    throw requestError('Failed to decompress Draw.io file');
+  }
+}
+
+// Helper function to get the mxGraphModel of a diagram, whether it was saved
+// compressed (base64 + deflate string) or uncompressed (inline child element)
+async function resolveGraphModel(diagramContent) {
+  // Uncompressed diagram - the mxGraphModel is a child element of <diagram>
+  if (diagramContent && diagramContent.mxGraphModel) {
+    const graphModel = { mxGraphModel: diagramContent.mxGraphModel[0] };
+    return { graphModel, mxGraphModelXml: buildXml(graphModel) };
+  }
+  
+  // Get the compressed content
+  let compressedData = null;
+  if (typeof diagramContent === 'string') {
+    compressedData = diagramContent;
+  } else if (diagramContent._) {
+    compressedData = diagramContent._;
+  } else if (diagramContent.$text) {
+    compressedData = diagramContent.$text;
+  }
+  
+  if (!compressedData || !compressedData.trim()) {
+    throw requestError('No diagram data found in diagram');
+  }
+  
+  // Decode the compressed content
+  const decodedContent = decodeDrawio(compressedData);
+  // Parse the decoded mxGraphModel
+  let graphModel;
+  try {
+    graphModel = await parseXml(decodedContent);
+  } catch (error) {
+    throw requestError('Invalid Draw.io file format - the diagram is not XML');
+  }
+  return { graphModel, mxGraphModelXml: decodedContent };
+}
+
+// Diagram XML embedded in a PNG or SVG export - URL-encoded, sometimes twice
+function decodeEmbeddedDiagram(text) {
+  let xml = text.trim();
+  for (let i = 0; i < 2 && xml.startsWith('%'); i++) {
+    xml = decodeURIComponent(xml);
+  }
+  return xml;
+}
+
+// Whether bytes start with the PNG signature
+function isPng(bytes) {
+  return PNG_SIGNATURE.every((byte, index) => bytes[index] === byte);
+}
+
+// Diagram XML of a Draw.io PNG export, from its tEXt or zTXt chunk
+function extractDiagramFromPng(bytes) {
+  if (!isPng(bytes)) {
+    throw requestError('הקובץ אינו תמונת PNG תקינה');
+  }
+  
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  for (let offset = 8; offset + 8 <= bytes.length;) {
+    const length = view.getUint32(offset);
+    const type = bytesToLatin1(bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    const separator = data.indexOf(0);
+    const keyword = separator > 0 ? bytesToLatin1(data.subarray(0, separator)) : '';
+    
+    if (type === 'tEXt' && PNG_DIAGRAM_KEYWORDS.includes(keyword)) {
+      return decodeEmbeddedDiagram(bytesToLatin1(data.subarray(separator + 1)));
+    }
+    if (type === 'zTXt' && PNG_DIAGRAM_KEYWORDS.includes(keyword)) {
+      // Keyword, null separator and compression method, then the deflated text.
+      // Draw.io's Java encoder writes spaces as "+".
+      const compressed = data.subarray(separator + 2);
+      let text;
+      try {
+        text = pako.inflate(compressed, { to: 'string' });
+      } catch (error) {
+        text = pako.inflateRaw(compressed, { to: 'string' });
+      }
+      return decodeEmbeddedDiagram(text.replace(/\+/g, ' '));
+    }
+    if (type === 'IEND') break;
+    offset += length + 12;
+  }
+  
+  throw requestError('בתמונה אין דיאגרמה של Draw.io - ייצאו אותה מ-Draw.io עם "Include a copy of my diagram"');
+}
+
+// Diagram XML of a Draw.io SVG export, from the content attribute of the <svg>
+async function extractDiagramFromSvg(svgContent) {
+  let result;
+  try {
+    result = await parseXml(svgContent);
+  } catch (error) {
+    throw requestError('הקובץ אינו קובץ SVG תקין');
+  }
+  
+  const content = result && result.svg && result.svg.$ && result.svg.$.content;
+  if (!content) {
+    throw requestError('בקובץ ה-SVG אין דיאגרמה של Draw.io - ייצאו אותו מ-Draw.io עם "Include a copy of my diagram"');
+  }
+  return decodeEmbeddedDiagram(content);
+}
+
+// Draw.io XML of a file's content (a string or its bytes) - .drawio/.xml files
+// as they are, PNG and SVG exports with the diagram extracted from the image,
+// and Mermaid flowcharts and bot definitions drawn as a diagram (see
+// readFlowSource). The file name and MIME type tell the exports apart when the
+// content doesn't; format (see SOURCE_FORMATS) overrides the file name.
+async function readDiagram(input, { filename = '', mimeType = '', format = '' } = {}) {
+  const name = filename.toLowerCase();
+  if (!format || format === 'drawio') {
+    if (typeof input !== 'string' && (isPng(toBytes(input)) || name.endsWith('.png') || mimeType === 'image/png')) {
+      return extractDiagramFromPng(toBytes(input));
+    }
+    if (name.endsWith('.svg') || mimeType === 'image/svg+xml') {
+      return extractDiagramFromSvg(toText(input));
+    }
+  }
+  
+  const text = toText(input);
+  const sourceFormat = getSourceFormat(text, { filename, format });
+  return sourceFormat === 'drawio' ? text : readFlowSource(text, sourceFormat);
+}
+
+// Helper function to parse Draw.io file - every page of the file is returned
+async function parseDrawioFile(fileContent) {
+  // Parse the outer XML
+  let result;
+  try {
+    result = await parseXml(fileContent);
+  } catch (error) {
+    throw requestError('Invalid Draw.io file format - the file is not XML');
+  }
+  const pages = [];
+  
+  if (result && result.mxGraphModel) {
+    // Bare mxGraphModel export - no <mxfile>/<diagram> wrapper
+    pages.push(createPage(result, fileContent, {}, 0));
+  } else {
+    // Find the diagram pages - check different possible structures
+    let diagrams = [];
+    if (result && result.mxfile && result.mxfile.diagram) {
+      diagrams = result.mxfile.diagram;
+    } else if (result && result.diagram) {
+      diagrams = [result.diagram];
+    }
+    
+    if (diagrams.length === 0) {
+      throw requestError('Invalid Draw.io file format - no diagram found');
+    }
+    
+    for (let i = 0; i < diagrams.length; i++) {
+      const { graphModel, mxGraphModelXml } = await resolveGraphModel(diagrams[i]);
+      pages.push(createPage(graphModel, mxGraphModelXml, diagrams[i].$ || {}, i));
+    }
+  }
+  
+  return { pages };
+}
+
+// Build a page entry with its extracted nodes and connections
+function createPage(graphModel, mxGraphModelXml, attrs, index) {
+  return {
+    id: attrs.id || `page_${index + 1}`,
+    name: attrs.name || `Page-${index + 1}`,
+    index,
+    nodes: extractNodes(graphModel),
+    connections: extractConnections(graphModel),
+    groups: extractGroups(graphModel),
+    // Keep the decoded XML string as well
+    mxGraphModelXml
+  };
+}
+
+// Keep only the requested pages (by page id, name or index), in file order
+function selectPages(pages, selected) {
+  if (!selected || selected.length === 0) {
+    return pages;
+  }
+  
+  const wanted = selected.map(String);
+  const result = pages.filter(page =>
+    wanted.includes(page.id) || wanted.includes(page.name) || wanted.includes(String(page.index))
+  );
+  
+  if (result.length === 0) {
+    throw requestError('None of the requested pages were found in the file');
+  }
+  
+  return result;
+}
+
+// Combine the decoded pages into a single intermediate XML file
+function buildMxGraphModelFile(pages) {
+  if (pages.length === 1) {
+    return pages[0].mxGraphModelXml;
+  }
+  
+  const diagrams = pages.map(page =>
+    `  <diagram id="${escapeXml(page.id)}" name="${escapeXml(page.name)}">\n${page.mxGraphModelXml}\n  </diagram>`
+  );
+  return `<mxfile>\n${diagrams.join('\n')}\n</mxfile>`;
+}
+
+// Cells of a graph model - plain <mxCell>s, then the cells draw.io wraps in a
+// <UserObject> or <object> when a shape has custom properties (Edit Data).
+// A wrapped cell gets the wrapper's id and label; the wrapper's other
+// attributes are its properties. Returns [{ attrs, geometry, points, properties }]
+// - points are the edge points of the geometry (see getGeometryPoints).
+function getGraphCells(graphModel) {
+  const root = graphModel?.mxGraphModel?.root?.[0] || {};
+  const cells = (root.mxCell || []).map(cell => ({
+    attrs: cell.$ || {},
+    geometry: cell.mxGeometry?.[0]?.$ || {},
+    points: getGeometryPoints(cell.mxGeometry?.[0]),
+    properties: {}
+  }));
+  
+  [...(root.UserObject || []), ...(root.object || [])].forEach(wrapper => {
+    const { id, label = '', placeholders, ...properties } = wrapper.$ || {};
+    const cell = wrapper.mxCell?.[0] || {};
+    // With placeholders=1 the label shows %property% values
+    const value = placeholders === '1' ?
+      label.replace(/%([\w-]+)%/g, (placeholder, name) => properties[name] ?? placeholder) :
+      label;
+    cells.push({
+      attrs: { ...(cell.$ || {}), id, value },
+      geometry: cell.mxGeometry?.[0]?.$ || {},
+      points: getGeometryPoints(cell.mxGeometry?.[0]),
+      properties
+    });
+  });
+  
+  return cells;
+}
+
+// Points of an edge geometry - the loose ends of an edge not connected to a
+// shape (sourcePoint, targetPoint) and its waypoints
+function getGeometryPoints(geometry) {
+  const toPoint = point => ({ x: Number(point.$?.x) || 0, y: Number(point.$?.y) || 0 });
+  const points = { waypoints: (geometry?.Array?.[0]?.mxPoint || []).map(toPoint) };
+  (geometry?.mxPoint || []).forEach(point => {
+    if (['sourcePoint', 'targetPoint'].includes(point.$?.as)) {
+      points[point.$.as] = toPoint(point);
+    }
+  });
+  return points;
+}
+
+// Groups of a graph model - they only gather shapes and are not nodes
+function extractGroups(graphModel) {
+  return getGraphCells(graphModel)
+    .filter(({ attrs }) => attrs.vertex === '1' && getStyleEntry(attrs.style, 'group') !== null)
+    .map(({ attrs }) => ({ id: attrs.id, value: attrs.value || '' }));
+}
+
+// Extract nodes from graph model
+function extractNodes(graphModel) {
+  const nodes = [];
+  
+  const cells = getGraphCells(graphModel);
+  const edgeIds = new Set(cells.filter(cell => cell.attrs.edge === '1').map(cell => cell.attrs.id));
+  
+  const vertices = new Map();
+  cells.forEach(({ attrs, geometry, properties }) => {
+    // Edges and the label cells attached to them are connections, not nodes
+    if (attrs.edge === '1' || edgeIds.has(attrs.parent)) return;
+    if (attrs.vertex === '1' || attrs.value) {
+      vertices.set(attrs.id, {
+        id: attrs.id,
+        value: attrs.value || '',
+        style: attrs.style || '',
+        parent: attrs.parent,
+        geometry,
+        properties
+      });
+    }
+  });
+  
+  // Geometry inside a group or container is relative to it - bounds are the
+  // absolute position. Groups only gather shapes: their shapes belong to the
+  // container around the group (or to none), and groups are not nodes.
+  const isGroup = cell => getStyleEntry(cell.style, 'group') !== null;
+  vertices.forEach(vertex => {
+    const bounds = {
+      x: Number(vertex.geometry.x) || 0,
+      y: Number(vertex.geometry.y) || 0,
+      width: Number(vertex.geometry.width) || 0,
+      height: Number(vertex.geometry.height) || 0
+    };
+    let container = null;
+    for (let ancestor = vertices.get(vertex.parent); ancestor; ancestor = vertices.get(ancestor.parent)) {
+      bounds.x += Number(ancestor.geometry.x) || 0;
+      bounds.y += Number(ancestor.geometry.y) || 0;
+      if (!container && !isGroup(ancestor)) {
+        container = ancestor.id;
+      }
+    }
+    if (!isGroup(vertex)) {
+      nodes.push({ ...vertex, container, bounds });
+    }
+  });
+  
+  return nodes;
+}
+
+// Extract connections from graph model
+function extractConnections(graphModel) {
+  const connections = [];
+  
+  const cells = getGraphCells(graphModel);
+  
+  cells.forEach(({ attrs, points }) => {
+    if (attrs.edge === '1') {
+      connections.push({
+        id: attrs.id,
+        source: attrs.source,
+        target: attrs.target,
+        value: attrs.value || '',
+        parent: attrs.parent,
+        points
+      });
+    }
+  });
+  
+  // Labels added by double-clicking an edge are separate child cells of the edge
+  cells.forEach(({ attrs }) => {
+    const conn = connections.find(connection => connection.id === attrs.parent);
+    if (conn && attrs.value && !getLabelText(conn.value)) {
+      conn.value = attrs.value;
+    }
+  });
+  
+  return connections;
+}
+
+// Read a "/pattern/flags" string (or a plain pattern) as a case-insensitive regex
+function parseRuleRegex(pattern) {
+  const match = String(pattern).match(/^\/(.*)\/([a-z]*)$/);
+  const source = match ? match[1] : String(pattern);
+  // g and y make test() resume from the last match - the same rule would
+  // answer differently from cell to cell
+  const flags = new Set(((match ? match[2] : '') + 'iu').replace(/[gy]/g, '').split(''));
+  return new RegExp(source, [...flags].join(''));
+}
+
+// Validate a node-type rule set and prepare its matchers. Rules are sorted by
+// priority (highest first); rules with the same priority keep their file order.
+function compileRuleSet(ruleSet, name = 'inline') {
+  if (!ruleSet || !Array.isArray(ruleSet.rules)) {
+    throw new Error(`Rule set "${name}" must have a "rules" array`);
+  }
+  
+  const rules = ruleSet.rules.map((rule, index) => {
+    const id = rule.id || `rule_${index + 1}`;
+    const match = rule.match || {};
+    
+    if (rule.type !== undefined && !NODE_TYPES.includes(rule.type)) {
+      throw new Error(`Rule "${id}" has an unknown type "${rule.type}"`);
+    }
+    if (rule.type === undefined && !match.property) {
+      throw new Error(`Rule "${id}" needs a type`);
+    }
+    if (!match.words && !match.regex && !match.style && !match.property) {
+      throw new Error(`Rule "${id}" has nothing to match on`);
+    }
+    
+    try {
+      return {
+        id,
+        type: rule.type,
+        priority: Number(rule.priority) || 0,
+        index,
+        // Whole words - not preceded or followed by another letter or digit
+        words: match.words ? match.words.map(word =>
+          new RegExp(`(?<![\\p{L}\\p{N}_])${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}\\p{N}_])`, 'iu')
+        ) : null,
+        regex: match.regex ? parseRuleRegex(match.regex) : null,
+        // true - the style key is present, "/.../" - a regex, otherwise the exact value
+        style: match.style ? Object.entries(match.style).map(([key, value]) => ({
+          key,
+          test: value === true ? () => true :
+            /^\/.*\/[a-z]*$/.test(String(value)) ? (styleValue => parseRuleRegex(value).test(styleValue)) :
+              (styleValue => styleValue.toLowerCase() === String(value).toLowerCase())
+        })) : null,
+        property: match.property || null,
+        // The criteria as written, for explaining a match
+        source: match
+      };
+    } catch (error) {
+      throw new Error(`Rule "${id}" has an invalid pattern: ${error.message}`);
+    }
+  });
+  
+  rules.sort((a, b) => b.priority - a.priority || a.index - b.index);
+  return { name: ruleSet.name || name, rules };
+}
+
+// Read the rule set of a request - a rule set name or an inline JSON rule set.
+// Names other than default are looked up with loadRuleSet (name => rule set
+// JSON), which the server and the command line read from their rules folder.
+function resolveRuleSet(value, loadRuleSet = null) {
+  if (!value) {
+    return DEFAULT_RULE_SET;
+  }
+  if (typeof value === 'object') {
+    return compileRuleSet(value);
+  }
+  
+  const trimmed = String(value).trim();
+  if (trimmed.startsWith('{')) {
+    let ruleSet;
+    try {
+      ruleSet = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`Invalid rule set JSON: ${error.message}`);
+    }
+    return compileRuleSet(ruleSet);
+  }
+  if (trimmed === DEFAULT_RULE_SET.name) {
+    return DEFAULT_RULE_SET;
+  }
+  if (!loadRuleSet) {
+    throw new Error(`Rule set not found: ${trimmed}`);
+  }
+  return compileRuleSet(loadRuleSet(trimmed), trimmed);
+}
+
+// Style entry value of a key - bare keys ("ellipse;") count as present
+function getStyleEntry(style, key) {
+  const entry = (style || '').split(';').find(part => part.split('=')[0].trim().toLowerCase() === key.toLowerCase());
+  if (entry === undefined) return null;
+  return entry.includes('=') ? entry.slice(entry.indexOf('=') + 1).trim() : '';
+}
+
+// Find the first rule of a rule set that matches a node.
+// Returns { type, ruleId } - ruleId is null when no rule matched (a plain message).
+function matchNodeType(node, ruleSet = DEFAULT_RULE_SET) {
+  const text = getLabelText(node.value);
+  const properties = node.properties || {};
+  
+  for (const rule of ruleSet.rules) {
+    if (rule.words && !rule.words.some(word => word.test(text))) continue;
+    if (rule.regex && !rule.regex.test(text)) continue;
+    if (rule.style && !rule.style.every(({ key, test }) => {
+      const value = getStyleEntry(node.style, key);
+      return value !== null && test(value);
+    })) continue;
+    
+    if (rule.property) {
+      const value = properties[rule.property];
+      if (value === undefined || value === '') continue;
+      // Without a type of its own, the rule takes the type from the property
+      if (!rule.type) {
+        if (!NODE_TYPES.includes(String(value).toLowerCase())) continue;
+        return { type: String(value).toLowerCase(), ruleId: rule.id };
+      }
+    }
+    
+    return { type: rule.type, ruleId: rule.id };
+  }
+  
+  return { type: 'message', ruleId: null };
+}
+
+// Why a node got its type - the criteria of the matching rule it met, in words
+function explainNodeType(node, ruleSet = DEFAULT_RULE_SET) {
+  const { ruleId } = matchNodeType(node, ruleSet);
+  const rule = ruleSet.rules.find(candidate => candidate.id === ruleId);
+  if (!rule) {
+    return 'אף חוק לא התאים - הודעה רגילה';
+  }
+  
+  const text = getLabelText(node.value);
+  const reasons = [];
+  if (rule.words) {
+    reasons.push(`המילה "${rule.source.words[rule.words.findIndex(word => word.test(text))]}" בתווית`);
+  }
+  if (rule.regex) {
+    reasons.push(`התווית תואמת ל-${rule.source.regex}`);
+  }
+  if (rule.style) {
+    rule.style.forEach(({ key }) => {
+      const value = getStyleEntry(node.style, key);
+      reasons.push(value ? `סגנון ${key}=${value}` : `סגנון ${key}`);
+    });
+  }
+  if (rule.property) {
+    reasons.push(`מאפיין ${rule.property}=${node.properties[rule.property]}`);
+  }
+  return `חוק ${rule.id}: ${reasons.join(', ')}`;
+}
+
+// Detect node type based on value, style and custom properties
+function detectNodeType(node, ruleSet = DEFAULT_RULE_SET) {
+  return matchNodeType(node, ruleSet).type;
+}
+
+// Build hierarchy from nodes and connections
+function buildHierarchy(nodes, connections) {
+  const nodeMap = new Map();
+  const hierarchy = [];
+  const targetIds = new Set();
+  const { innerRoots, fixedContainerIds } = getContainerStructure(nodes, connections);
+  
+  // Create a map of nodes
+  nodes.forEach(node => {
+    nodeMap.set(node.id, {
+      ...node,
+      children: [],
+      edgeLabels: {},
+      edgeIds: {}
+    });
+  });
+  
+  // Build parent-child relationships
+  connections.forEach(conn => {
+    const sourceNode = nodeMap.get(conn.source);
+    const targetNode = nodeMap.get(conn.target);
+    
+    if (sourceNode && targetNode) {
+      sourceNode.children.push(targetNode.id);
+      sourceNode.edgeLabels[targetNode.id] = getLabelText(conn.value);
+      sourceNode.edgeIds[targetNode.id] = conn.id;
+      targetIds.add(targetNode.id);
+    }
+  });
+  
+  // The flows inside a container hang under the container node
+  innerRoots.forEach((rootIds, containerId) => {
+    const containerNode = nodeMap.get(containerId);
+    rootIds.filter(id => !containerNode.children.includes(id)).forEach(id => {
+      containerNode.children.push(id);
+      containerNode.edgeLabels[id] = '';
+    });
+  });
+  
+  // Find root nodes (nodes without parents from connections, outside any
+  // container). The fixed-process containers are returned on their own.
+  nodes.forEach(node => {
+    if (!targetIds.has(node.id) && !node.container && !fixedContainerIds.has(node.id)) {
+      hierarchy.push(nodeMap.get(node.id));
+    }
+  });
+  
+  return { nodeMap, hierarchy, fixedContainers: [...fixedContainerIds].map(id => nodeMap.get(id)) };
+}
+
+// Containers of a page - shapes other shapes sit in (swimlanes, containers).
+// innerRoots maps every container to the nodes in it that no edge from inside
+// the container leads to, top to bottom. A container titled "תהליכים קבועים"
+// holds the global handlers: fixedContainerIds are those containers.
+function getContainerStructure(nodes, connections) {
+  const nodeMap = new Map(nodes.map(node => [node.id, node]));
+  const isInside = (node, containerId) => {
+    for (let current = node; current; current = nodeMap.get(current.container)) {
+      if (current.container === containerId) return true;
+    }
+    return false;
+  };
+  const fedFromInside = new Set(connections
+    .filter(conn => nodeMap.has(conn.source) && nodeMap.has(conn.target))
+    .filter(conn => {
+      const target = nodeMap.get(conn.target);
+      return target.container && isInside(nodeMap.get(conn.source), target.container);
+    })
+    .map(conn => conn.target));
+  
+  const innerRoots = new Map();
+  nodes
+    .filter(node => node.container && nodeMap.has(node.container) && !fedFromInside.has(node.id))
+    .sort((a, b) => a.bounds.y - b.bounds.y || a.bounds.x - b.bounds.x)
+    .forEach(node => {
+      if (!innerRoots.has(node.container)) innerRoots.set(node.container, []);
+      innerRoots.get(node.container).push(node.id);
+    });
+  
+  const fixedContainerIds = new Set([...innerRoots.keys()]
+    .filter(id => getLabelText(nodeMap.get(id).value) === FIXED_PROCESSES_TEXT));
+  
+  return { innerRoots, fixedContainerIds };
+}
+
+// Node types that properly end a branch of the flow
+const TERMINAL_TYPES = ['end', 'transfer', 'error', 'unknown'];
+
+// Plain text of a label, without HTML markup
+function getLabelText(value) {
+  const text = (value || '')
+    .replace(/<(br|\/?(div|p|li|tr|h\d))\b[^>]*>/gi, ' ')
+    .replace(HTML_TAG_PATTERN, '');
+  return decodeHtmlEntities(text)
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Decode named and numeric HTML entities
+function decodeHtmlEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] !== '#') {
+      return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+    }
+    const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+  });
+}
+
+// Escape text for use inside HTML content
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Reduce label HTML to the tags of HTML_ALLOWED_TAGS, without attributes (but
+// for safe link hrefs). Block tags and line breaks become <br>.
+function sanitizeLabelHtml(html) {
+  let output = '';
+  let pendingBreak = false;
+  const openTags = [];
+  const endsWithBreak = () => /(<br>|<\/?(ul|ol|li)>)\s*$/.test(output) || !output.trim();
+  
+  (html || '').split(/(<[^>]*>)/).forEach(token => {
+    const tag = token.match(/^<(\/?)([a-z][\w-]*)([^>]*)>$/i);
+    if (!tag) {
+      const text = token.replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ');
+      if (!text.trim()) {
+        if (text && !endsWithBreak() && !/\s$/.test(output)) output += ' ';
+        return;
+      }
+      if (pendingBreak && !endsWithBreak()) output += '<br>';
+      pendingBreak = false;
+      output += text;
+      return;
+    }
+    
+    const [, closing, tagName, attrs] = tag;
+    const name = tagName.toLowerCase();
+    if (name === 'br') {
+      output += '<br>';
+      pendingBreak = false;
+    } else if (HTML_BLOCK_TAGS.includes(name)) {
+      pendingBreak = true;
+    } else if (HTML_ALLOWED_TAGS[name]) {
+      const allowed = HTML_ALLOWED_TAGS[name];
+      if (HTML_LIST_TAGS.includes(allowed)) {
+        pendingBreak = false;
+      }
+      if (closing) {
+        const index = openTags.lastIndexOf(allowed);
+        if (index === -1) return;
+        // Close the tags left open inside it as well
+        openTags.splice(index).reverse().forEach(openTag => { output += `</${openTag}>`; });
+        return;
+      }
+      if (allowed === 'a') {
+        const href = attrs.match(/href\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+        const url = href ? decodeHtmlEntities(href[1] ?? href[2] ?? href[3]).trim() : '';
+        if (!LINK_PATTERN.test(url)) return;
+        output += `<a href="${escapeXml(url)}">`;
+      } else {
+        if (pendingBreak && !HTML_LIST_TAGS.includes(allowed) && !endsWithBreak()) output += '<br>';
+        if (!HTML_LIST_TAGS.includes(allowed)) pendingBreak = false;
+        output += `<${allowed}>`;
+      }
+      openTags.push(allowed);
+    }
+  });
+  
+  openTags.reverse().forEach(openTag => { output += `</${openTag}>`; });
+  return output
+    .replace(/<(b|i|a)\b[^>]*>\s*<\/\1>/g, '')
+    .replace(/^(\s|<br>)+|(\s|<br>)+$/g, '');
+}
+
+// Whether a cell's label is HTML (html=1 in its style)
+function isHtmlLabel(node) {
+  return getStyleEntry(node.style, 'html') === '1';
+}
+
+// Parse a node's label into its plain-text title and its bodyHtml. The title is
+// the node's "title" property, or the part of the label above a "---" line;
+// split tells whether either was used. Otherwise the whole label is both.
+function parseLabel(node) {
+  const value = node.value || '';
+  const html = isHtmlLabel(node) ? sanitizeLabelHtml(value) : escapeHtml(value.trim()).replace(/\r?\n/g, '<br>');
+  const titleProperty = node.properties && node.properties.title;
+  
+  if (titleProperty) {
+    return { title: getLabelText(titleProperty), bodyHtml: html, split: true };
+  }
+  const separator = html.match(LABEL_SEPARATOR);
+  if (separator) {
+    return {
+      title: getLabelText(html.slice(0, separator.index)),
+      bodyHtml: html.slice(separator.index + separator[0].length),
+      split: true
+    };
+  }
+  return { title: getLabelText(html), bodyHtml: html, split: false };
+}
+
+// Value of a key in a Draw.io style string ("rounded=1;buttonDisplayMode=2;")
+function getStyleValue(style, key) {
+  return getStyleEntry(style, key) || null;
+}
+
+// Build a finding/warning about a Draw.io cell of a page
+function createFinding(page, severity, code, cell, message) {
+  return {
+    pageId: page.id,
+    pageName: page.name,
+    cellId: cell ? cell.id : null,
+    label: cell ? getLabelText(cell.value) : '',
+    severity,
+    code,
+    message
+  };
+}
+
+// Strip matching quotes around a condition value
+function unquote(value) {
+  const match = value.match(/^(["'])(.*)\1$/);
+  return match ? match[2] : value;
+}
+
+// Parse a condition field - a {{reference}} to an input node (by label or
+// cell id) or a plain context field name
+function parseConditionField(field, inputNodes) {
+  const reference = field.match(/^\{\{\s*(.+?)\s*\}\}$/);
+  if (!reference) {
+    return { field };
+  }
+  
+  const inputNode = inputNodes.find(node => node.id === reference[1]) ||
+    inputNodes.find(node => getLabelText(node.value) === reference[1]);
+  return inputNode ? { field, inputNodeId: inputNode.id } : { field, unresolved: reference[1] };
+}
+
+// Parse a decision node and its outgoing edges into branch conditions.
+// edges are the node's connections, inputNodes the page's input nodes.
+// Returns null when the label is not a condition (the node stays a plain menu).
+function parseDecision(node, edges, inputNodes) {
+  const label = getLabelText(node.value);
+  const expression = label.match(EXPRESSION_PATTERN);
+  let fieldOnly = !expression && label.match(FIELD_PATTERN);
+  // A single word is a condition only on a {{reference}}, or with an operator
+  // on an edge - otherwise it is the title of a menu ("Menu", "תפריט")
+  if (fieldOnly && !/^\{\{/.test(fieldOnly[1]) &&
+      !edges.some(edge => (getLabelText(edge.value).match(BRANCH_PATTERN) || [])[1])) {
+    fieldOnly = null;
+  }
+  
+  if (!expression && !fieldOnly) {
+    return null;
+  }
+  
+  const field = parseConditionField((expression || fieldOnly)[1], inputNodes);
+  const branches = [];
+  const issues = [];
+  
+  if (field.unresolved) {
+    issues.push({ severity: 'error', code: 'unknown-field', cell: node, message: `לא נמצא נוד קלט בשם "${field.unresolved}"` });
+  }
+  
+  edges.forEach(edge => {
+    const edgeLabel = getLabelText(edge.value);
+    const lowerLabel = edgeLabel.toLowerCase();
+    
+    if (expression) {
+      // Full expression - the edges are its yes/no answers
+      if (TRUE_LABELS.includes(lowerLabel)) {
+        branches.push({ edgeId: edge.id, target: edge.target, operator: expression[2] === '=' ? '==' : expression[2], value: unquote(expression[3]) });
+      } else if (!edgeLabel || DEFAULT_LABELS.includes(lowerLabel)) {
+        branches.push({ edgeId: edge.id, target: edge.target, isDefault: true });
+      } else {
+        issues.push({ severity: 'error', code: 'invalid-branch', cell: edge, message: `התווית "${edgeLabel}" אינה כן/לא - החיבור לא יומר` });
+      }
+      return;
+    }
+    
+    // Field only - every edge holds its own operator and value
+    if (!edgeLabel || DEFAULT_LABELS.includes(lowerLabel)) {
+      branches.push({ edgeId: edge.id, target: edge.target, isDefault: true });
+      return;
+    }
+    const branch = edgeLabel.match(BRANCH_PATTERN);
+    const operator = branch[1] || '==';
+    branches.push({ edgeId: edge.id, target: edge.target, operator: operator === '=' ? '==' : operator, value: unquote(branch[2].trim()) });
+  });
+  
+  const defaults = branches.filter(branch => branch.isDefault);
+  if (defaults.length > 1) {
+    issues.push({ severity: 'warning', code: 'multiple-defaults', cell: node, message: `לנוד ההחלטה יש ${defaults.length} ענפי ברירת מחדל - רק הראשון ישמש` });
+  } else if (defaults.length === 0 && branches.length > 0) {
+    issues.push({ severity: 'warning', code: 'no-default', cell: node, message: 'לנוד ההחלטה אין ענף ברירת מחדל (אחרת)' });
+  }
+  
+  return { ...field, branches, issues };
+}
+
+// Check the extracted graph of a page before conversion.
+// Every finding has the Draw.io cell id, its label, a severity and a message.
+function validatePage(page, ruleSet = DEFAULT_RULE_SET) {
+  const findings = [];
+  const addFinding = (severity, code, cell, message) => {
+    findings.push(createFinding(page, severity, code, cell, message));
+  };
+  
+  const nodes = page.nodes;
+  const nodeMap = new Map(nodes.map(node => [node.id, node]));
+  const outgoing = new Map(nodes.map(node => [node.id, []]));
+  const incoming = new Map(nodes.map(node => [node.id, []]));
+  const buttonTexts = new Map(nodes.map(node => [node.id, new Map()]));
+  const edgesFrom = new Map(nodes.map(node => [node.id, []]));
+  
+  // Edges whose source or target points to no cell
+  page.connections.forEach(conn => {
+    const sourceOk = nodeMap.has(conn.source);
+    const targetOk = nodeMap.has(conn.target);
+    if (!sourceOk || !targetOk) {
+      const ends = [];
+      if (!sourceOk) ends.push(conn.source ? `המקור "${conn.source}" לא קיים` : 'אין מקור');
+      if (!targetOk) ends.push(conn.target ? `היעד "${conn.target}" לא קיים` : 'אין יעד');
+      addFinding('error', 'dangling-edge', conn, `חיבור לא תקין: ${ends.join(', ')}. החיבור לא יומר`);
+      return;
+    }
+    outgoing.get(conn.source).push(conn.target);
+    incoming.get(conn.target).push(conn.source);
+    edgesFrom.get(conn.source).push(conn);
+    // The edge label is the button text; unlabelled edges use the target's label
+    buttonTexts.get(conn.source).set(conn.target, getLabelText(conn.value) || getLabelText(nodeMap.get(conn.target).value));
+  });
+  
+  // A container leads into the flows inside it; global handlers can always be reached
+  const { innerRoots, fixedContainerIds } = getContainerStructure(nodes, page.connections);
+  innerRoots.forEach((rootIds, containerId) => {
+    rootIds.forEach(id => {
+      outgoing.get(containerId).push(id);
+      incoming.get(id).push(containerId);
+    });
+  });
+  
+  // Empty labels
+  nodes.forEach(node => {
+    if (!getLabelText(node.value)) {
+      addFinding('warning', 'empty-label', node, 'לנוד אין טקסט');
+    }
+  });
+  
+  // Decision nodes need at least two ways out and valid conditions
+  const inputNodes = nodes.filter(node => detectNodeType(node, ruleSet) === 'input');
+  const conditionNodeIds = new Set();
+  nodes.forEach(node => {
+    if (detectNodeType(node, ruleSet) !== 'decision') return;
+    if (outgoing.get(node.id).length < 2) {
+      addFinding('error', 'decision-branches', node, `לנוד החלטה יש ${outgoing.get(node.id).length} יציאות - נדרשות לפחות 2`);
+    }
+    
+    const decision = parseDecision(node, edgesFrom.get(node.id), inputNodes);
+    if (!decision) {
+      addFinding('warning', 'invalid-condition', node, 'התווית אינה תנאי (למשל status == "VIP") - הנוד יומר כתפריט רגיל');
+      return;
+    }
+    conditionNodeIds.add(node.id);
+    decision.issues.forEach(issue => addFinding(issue.severity, issue.code, issue.cell, issue.message));
+  });
+  
+  // Duplicate button texts under the same parent - condition edges are not buttons
+  nodes.forEach(node => {
+    if (conditionNodeIds.has(node.id)) return;
+    const seen = new Map();
+    buttonTexts.get(node.id).forEach((buttonText, childId) => {
+      const text = buttonText.toLowerCase();
+      if (!text) return;
+      if (seen.has(text)) {
+        addFinding('warning', 'duplicate-button', nodeMap.get(childId), `הכפתור "${buttonText}" מופיע יותר מפעם אחת תחת "${getLabelText(node.value)}"`);
+      } else {
+        seen.set(text, childId);
+      }
+    });
+  });
+  
+  // Collect every node reachable from the given ones along the given edges
+  const reach = (startIds, edges) => {
+    const visited = new Set(startIds);
+    const queue = [...startIds];
+    while (queue.length > 0) {
+      const id = queue.shift();
+      edges.get(id).forEach(nextId => {
+        if (!visited.has(nextId)) {
+          visited.add(nextId);
+          queue.push(nextId);
+        }
+      });
+    }
+    return visited;
+  };
+  
+  // Nodes that can't be reached from the start node
+  let startIds = nodes.filter(node => detectNodeType(node, ruleSet) === 'start').map(node => node.id);
+  if (startIds.length === 0 && nodes.length > 0) {
+    addFinding('warning', 'no-start', null, 'לא נמצא נוד התחלה - הבדיקה מתחילה מכל הנודים שאין חיבורים אליהם');
+    startIds = nodes.filter(node => incoming.get(node.id).length === 0).map(node => node.id);
+  }
+  const blockIds = nodes.filter(node => getLabelText(node.value) === FIXED_PROCESSES_TEXT).map(node => node.id);
+  const reachable = reach([...startIds, ...fixedContainerIds, ...blockIds], outgoing);
+  nodes.forEach(node => {
+    if (!reachable.has(node.id)) {
+      addFinding('warning', 'unreachable', node, 'אי אפשר להגיע לנוד הזה מנוד ההתחלה');
+    }
+  });
+  
+  // Branches that never reach an end, transfer or error node
+  const terminalIds = nodes.filter(node => TERMINAL_TYPES.includes(detectNodeType(node, ruleSet))).map(node => node.id);
+  const leafIds = nodes.filter(node => outgoing.get(node.id).length === 0).map(node => node.id);
+  const reachesTerminal = reach(terminalIds, incoming);
+  const reachesLeaf = reach(leafIds, incoming);
+  nodes.forEach(node => {
+    if (!reachable.has(node.id) || reachesTerminal.has(node.id)) return;
+    if (outgoing.get(node.id).length === 0) {
+      addFinding('warning', 'dead-end', node, 'הענף מסתיים בלי סיום, מעבר לנציג או שגיאה');
+    } else if (!reachesLeaf.has(node.id)) {
+      addFinding('warning', 'endless-loop', node, 'הנוד נמצא בלולאה שלא מגיעה לסיום, מעבר לנציג או שגיאה');
+    }
+  });
+  
+  return findings;
+}
+
+// Validate the given pages and summarise the findings
+function validatePages(pages, ruleSet = DEFAULT_RULE_SET) {
+  const findings = pages.reduce((all, page) => all.concat(validatePage(page, ruleSet)), []);
+  const count = severity => findings.filter(finding => finding.severity === severity).length;
+  
+  return {
+    valid: count('error') === 0,
+    summary: {
+      errors: count('error'),
+      warnings: count('warning')
+    },
+    findings
+  };
+}
+
+// Boolean value of a custom property ("true", "1", "yes" or "כן")
+function parseBooleanProperty(value) {
+  return ['true', '1', 'yes', 'כן'].includes(String(value).trim().toLowerCase());
+}
+
+// Attachment of a URL - its type is guessed from the file extension
+function createAttachment(url) {
+  let fileName = url.split(/[?#]/)[0].split('/').pop() || '';
+  try {
+    fileName = decodeURIComponent(fileName);
+  } catch (error) {
+    // Keep the name as it is
+  }
+  const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+  let type = 'link';
+  if (ATTACHMENT_IMAGE_EXTENSIONS.includes(extension)) {
+    type = 'image';
+  } else if (ATTACHMENT_FILE_EXTENSIONS.includes(extension)) {
+    type = 'file';
+  }
+  return { type, url, name: fileName || url };
+}
+
+// Attachment sources of a node: the image of an image shape (image=... in its
+// style), the cell's link and its attachment property (space-separated URLs)
+function getAttachmentSources(node) {
+  const properties = node.properties || {};
+  const image = (node.style || '').split(';').map(part => part.trim()).find(part => part.startsWith('image='));
+  const sources = [
+    image ? image.slice('image='.length) : '',
+    properties.link || '',
+    ...(properties.attachment || '').split(/\s+/)
+  ].filter(Boolean);
+  return [...new Set(sources)];
+}
+
+// File of a data: URI - { name, mimeType, data }, or null when it isn't a
+// supported image or PDF. name is baseName with the MIME type's extension.
+function decodeDataUri(uri, baseName) {
+  const match = uri.match(DATA_URI_PATTERN);
+  const mimeType = match ? match[1].toLowerCase() : '';
+  const extension = ATTACHMENT_MIME_EXTENSIONS[mimeType];
+  if (!extension) return null;
+  
+  // Draw.io leaves ";base64" out of image styles, as ";" separates style entries
+  const [, , parameters, payload] = match;
+  const isBase64 = parameters.includes(';base64') || /^[A-Za-z0-9+/=\s]*$/.test(payload);
+  let data;
+  try {
+    data = isBase64 ? base64ToBytes(payload) : toBytes(decodeURIComponent(payload));
+  } catch (error) {
+    return null;
+  }
+  return data.length ? { name: `${baseName}.${extension}`, mimeType, data } : null;
+}
+
+// Commbox attachments of a node, keyed by their position. Links are attached
+// as they are; embedded files become files of the attachments bundle, named
+// after the node id and served from baseUrl - a URL, or a path relative to the
+// XML (the bundle's attachments folder when there is none). Returns { attachments, files, issues } - issues are
+// findings for the sources that couldn't be attached.
+function resolveAttachments(node, nodeId, baseUrl = '') {
+  const attachments = {};
+  const files = [];
+  const issues = [];
+  const preview = source => (source.length > 60 ? `${source.slice(0, 60)}...` : source);
+  
+  getAttachmentSources(node).forEach(source => {
+    const index = Object.keys(attachments).length;
+    if (LINK_PATTERN.test(source)) {
+      attachments[index] = createAttachment(source);
+      return;
+    }
+    if (/^data:(page|action)\//i.test(source)) {
+      issues.push({ severity: 'warning', code: 'unresolved-attachment', message: 'קישור לעמוד או לפעולה בתוך Draw.io אינו קובץ מצורף - הוא לא צורף' });
+      return;
+    }
+    const file = source.startsWith('data:') ? decodeDataUri(source, `${nodeId}_${files.length + 1}`) : null;
+    if (!file) {
+      issues.push({ severity: 'warning', code: 'unresolved-attachment', message: `"${preview(source)}" אינו כתובת http/https או תמונה/PDF מוטמעים - הוא לא צורף` });
+      return;
+    }
+    
+    files.push(file);
+    const url = `${(baseUrl || ATTACHMENTS_DIR).replace(/\/+$/, '')}/${file.name}`;
+    attachments[index] = {
+      type: file.mimeType.startsWith('image/') ? 'image' : 'file',
+      url,
+      name: file.name
+    };
+    if (!LINK_PATTERN.test(url)) {
+      issues.push({ severity: 'warning', code: 'embedded-attachment', message: `הקובץ המוטמע נשמר בשם ${url} - העלו אותו והגדירו כתובת בסיס לקבצים מצורפים` });
+    }
+  });
+  
+  return { attachments, files, issues };
+}
+
+// Convert to Commbox node format.
+// buttonText is the label of the edge leading to the node - when given it
+// becomes the node's text and the node's own label becomes its message.
+// Custom properties of the cell override the defaults: uniqueName, fieldType,
+// validation and isMandatory of an input field. Attachments are added by
+// buildScriptArray (see resolveAttachments).
+function convertToCommboxNode(node, nodeId, parentId = '#', buttonText = '', ruleSet = DEFAULT_RULE_SET) {
+  const nodeType = detectNodeType(node, ruleSet);
+  const label = parseLabel(node);
+  const bodyText = getLabelText(label.bodyHtml);
+  const properties = node.properties || {};
+  
+  const commboxNode = {
+    id: nodeId,
+    text: buttonText || label.title || `Node ${nodeId}`,
+    parent: parentId,
+    rI: "2",
+    addChannelStateMessage: false,
+    attachments: {}
+  };
+  
+  // The label is the message when it differs from the text - a split label, a
+  // button whose edge has its own label, or formatting that plain text would lose
+  const hasFormatting = label.bodyHtml !== escapeHtml(bodyText);
+  if (bodyText && (label.split || (buttonText && bodyText !== buttonText) || hasFormatting)) {
+    commboxNode.bodyHtml = label.bodyHtml;
+  }
+  
+  // Add type-specific properties
+  switch(nodeType) {
+    case 'message':
+      if (bodyText.length > 20) {
+        commboxNode.bodyHtml = label.bodyHtml;
+      }
+      break;
+    case 'transfer':
+      commboxNode.step = 'agent_node';
+      break;
+    case 'unknown':
+      commboxNode.unknown = "1";
+      break;
+    case 'error':
+      commboxNode.error = true;
+      break;
+    case 'end':
+      commboxNode.end = "2";
+      break;
+    case 'input':
+      commboxNode.d_e = [{
+        uniqueName: properties.uniqueName || `input_${nodeId.replace(/^n_/, '')}`,
+        name: label.title || 'הזן קלט',
+        labelDescription: "",
+        type: "string",
+        key: false,
+        isVisible: false,
+        isMandatory: properties.isMandatory !== undefined ? parseBooleanProperty(properties.isMandatory) : true,
+        askOnlyOnce: false,
+        isSystemField: false,
+        fieldType: properties.fieldType || "1",
+        validation: properties.validation || ""
+      }];
+      break;
+  }
+  
+  return commboxNode;
+}
+
+// Escape a string for use inside an XML attribute
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// 32-bit FNV-1a hash of a string, as 8 hex digits
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (const char of String(value)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+// Hand out Commbox node ids derived from the Draw.io cell a node comes from, so
+// the same cell keeps its id across conversions. key is the page id, the cell (or
+// edge) id and the node's role; a hash collision moves on to the next free id.
+// Every id is recorded in manifest for the id mapping download.
+function createIdAllocator() {
+  const usedIds = new Set([ROOT_NODE_ID, ...Object.values(FIXED_NODE_IDS)]);
+  const manifest = [];
+  
+  function allocate(key, entry) {
+    let nodeId = `n_${hashString(key)}`;
+    for (let attempt = 2; usedIds.has(nodeId); attempt++) {
+      nodeId = `n_${hashString(`${key}#${attempt}`)}`;
+    }
+    usedIds.add(nodeId);
+    manifest.push({ ...entry, nodeId });
+    return nodeId;
+  }
+  
+  return { allocate, manifest };
+}
+
+// Build the script array of a single Commbox script from the given pages.
+// With asSubtrees, every page gets its own node under the root node and the
+// page's flow hangs underneath it.
+// options.edgeLabelMode: 'child' (default) - an edge label becomes the text of
+//                        the node it leads to, 'option' - an option node with
+//                        the edge label is added between the two nodes
+// options.buttonDisplayMode / buttonDisplayModes: see getButtonDisplayMode
+// options.ruleSet: compiled node-type rule set (see compileRuleSet)
+// options.scriptSettings: script header settings (see getScriptSettings)
+// options.globalHandlers: handlers of the fixed-process block (see getGlobalHandlers)
+// options.attachmentBaseUrl: URL (or relative path) of the embedded attachments
+// Problems found on the way (e.g. invalid conditions) are added to report.warnings,
+// every jump generated for a loop or converging path to report.jumps, and the
+// embedded attachments to report.files. Node ids come from report.ids (see
+// createIdAllocator), shared by all scripts of an export.
+function buildScriptArray(pages, asSubtrees, options = {}, report = { warnings: [], jumps: [], files: [], ids: createIdAllocator() }) {
+  const { warnings, jumps, files, ids } = report;
+  const ruleSet = options.ruleSet || DEFAULT_RULE_SET;
+  const edgeLabelMode = options.edgeLabelMode || 'child';
+  const settings = options.scriptSettings || SCRIPT_SETTINGS_DEFAULTS;
+  const handlers = options.globalHandlers || GLOBAL_HANDLERS_DEFAULTS;
+  // Draw.io cell id to generated node id, for the node settings of the header
+  const cellNodeIds = new Map();
+  
+  // Initialize script array with configuration
+  const scriptArray = [
+    {
+      seedId: settings.seedId,
+      endNodeId: "",
+      genericDelayJumpTime: settings.genericDelayJumpTime,
+      genericDelayJumpNode: "",
+      genericRedisplayTime: settings.genericRedisplayTime,
+      genericRedisplayMessage: settings.genericRedisplayMessage,
+      dataContextExpirationTime: settings.dataContextExpirationTime,
+      engineVersion: 0,
+      allowUsingAI: settings.allowUsingAI,
+      importMismatches: [],
+      assistantId: settings.assistantId
+    }
+  ];
+  
+  // Nodes are added to output - the global handlers of "תהליכים קבועים"
+  // containers go to fixedNodes, to be added with the fixed-process block
+  let output = scriptArray;
+  const fixedNodes = [];
+  let fixedText = null;
+  
+  // Add root node
+  scriptArray.push({
+    id: ROOT_NODE_ID,
+    text: "התחלה",
+    parent: "#",
+    rI: "2",
+    addChannelStateMessage: false,
+    attachments: {}
+  });
+  
+  pages.forEach(page => {
+    const { nodeMap, hierarchy, fixedContainers } = buildHierarchy(page.nodes, page.connections);
+    const processedNodes = new Set();
+    const commboxNodes = new Map();
+    const activePath = new Set();
+    const pendingConditions = [];
+    // Edges of decisions that are not a branch - they lead nowhere
+    const droppedEdges = new Set();
+    const inputNodes = page.nodes.filter(node => detectNodeType(node, ruleSet) === 'input');
+    let pageParentId = ROOT_NODE_ID;
+    const pageEntry = { pageId: page.id, pageName: page.name };
+    
+    if (asSubtrees) {
+      const pageNodeId = ids.allocate(`${page.id}::page`, { ...pageEntry, cellId: null, role: 'page', label: page.name });
+      scriptArray.push({
+        id: pageNodeId,
+        text: page.name,
+        parent: ROOT_NODE_ID,
+        rI: "2",
+        addChannelStateMessage: false,
+        attachments: {}
+      });
+      pageParentId = pageNodeId;
+    }
+    
+    // An edge to a node that was already generated (a loop back or a second
+    // path into the same node) becomes a jump to the existing Commbox node
+    function addJump(node, parentId, edgeLabel, via) {
+      const targetNode = commboxNodes.get(node.id);
+      const edgeKey = via.edgeId || `${via.sourceId}->${node.id}`;
+      const jumpNode = {
+        id: ids.allocate(`${page.id}:${edgeKey}:jump`, { ...pageEntry, cellId: via.edgeId || null, role: 'jump', label: edgeLabel || targetNode.text }),
+        text: edgeLabel || targetNode.text,
+        parent: parentId,
+        rI: "2",
+        addChannelStateMessage: false,
+        attachments: {},
+        jumpNode: targetNode.id
+      };
+      output.push(jumpNode);
+      jumps.push({
+        pageId: page.id,
+        pageName: page.name,
+        edgeId: via.edgeId,
+        sourceCellId: via.sourceId,
+        targetCellId: node.id,
+        jumpNodeId: jumpNode.id,
+        targetNodeId: targetNode.id,
+        kind: getJumpKind(node, targetNode)
+      });
+      return jumpNode;
+    }
+    
+    // A loop back into the current path, an edge from the flow into a handler of
+    // the fixed-process block, or a second path into the same node
+    function getJumpKind(node, targetNode) {
+      if (activePath.has(node.id)) return 'loop';
+      return output !== fixedNodes && fixedNodes.includes(targetNode) ? 'handler' : 'merge';
+    }
+    
+    // via is the edge leading to the node ({ edgeId, sourceId }), null for roots.
+    // Returns the generated Commbox node (or jump node).
+    function processNode(node, parentId, edgeLabel = '', via = null) {
+      if (processedNodes.has(node.id)) {
+        return via ? addJump(node, parentId, edgeLabel, via) : null;
+      }
+      processedNodes.add(node.id);
+      activePath.add(node.id);
+      
+      // Labelled edge in option mode - the choice gets its own node
+      if (edgeLabel && edgeLabelMode === 'option') {
+        const edgeKey = via.edgeId || `${via.sourceId}->${node.id}`;
+        const optionNode = {
+          id: ids.allocate(`${page.id}:${edgeKey}:option`, { ...pageEntry, cellId: via.edgeId || null, role: 'option', label: edgeLabel }),
+          text: edgeLabel,
+          parent: parentId,
+          rI: "2",
+          addChannelStateMessage: false,
+          attachments: {}
+        };
+        output.push(optionNode);
+        parentId = optionNode.id;
+        edgeLabel = '';
+      }
+      
+      const nodeId = ids.allocate(`${page.id}:${node.id}`, { ...pageEntry, cellId: node.id, role: 'node', label: getLabelText(node.value) });
+      const commboxNode = convertToCommboxNode(node, nodeId, parentId, edgeLabel, ruleSet);
+      const attachments = resolveAttachments(node, nodeId, options.attachmentBaseUrl);
+      commboxNode.attachments = attachments.attachments;
+      files.push(...attachments.files);
+      attachments.issues.forEach(issue => warnings.push(createFinding(page, issue.severity, issue.code, node, issue.message)));
+      commboxNodes.set(node.id, commboxNode);
+      if (!cellNodeIds.has(node.id)) {
+        cellNodeIds.set(node.id, nodeId);
+      }
+      
+      // Decision nodes with a valid condition become conditional branches
+      if (detectNodeType(node, ruleSet) === 'decision') {
+        const edges = page.connections.filter(conn => conn.source === node.id && nodeMap.has(conn.target));
+        const decision = parseDecision(node, edges, inputNodes);
+        if (decision) {
+          decision.issues.forEach(issue => warnings.push(createFinding(page, issue.severity, issue.code, issue.cell, issue.message)));
+          edges.filter(edge => !decision.branches.some(branch => branch.edgeId === edge.id)).forEach(edge => droppedEdges.add(edge.id));
+          commboxNode.step = 'condition_node';
+          output.push(commboxNode);
+          
+          // Edge labels are conditions here, not button texts
+          const branchNodes = decision.branches.map(branch =>
+            processNode(nodeMap.get(branch.target), commboxNode.id, '', { edgeId: branch.edgeId, sourceId: node.id })
+          );
+          commboxNode.conditions = [];
+          commboxNode.defaultNodeId = "";
+          decision.branches.forEach((branch, i) => {
+            if (!branch.isDefault) {
+              commboxNode.conditions.push({
+                field: decision.field,
+                operator: branch.operator,
+                value: branch.value,
+                nodeId: branchNodes[i].id
+              });
+            } else if (!commboxNode.defaultNodeId) {
+              commboxNode.defaultNodeId = branchNodes[i].id;
+            }
+          });
+          if (decision.inputNodeId) {
+            pendingConditions.push({ node, commboxNode, inputNodeId: decision.inputNodeId });
+          }
+          activePath.delete(node.id);
+          return commboxNode;
+        }
+        warnings.push(createFinding(page, 'warning', 'invalid-condition', node, 'התווית אינה תנאי (למשל status == "VIP") - הנוד יומר כתפריט רגיל'));
+      }
+      
+      const buttonDisplayMode = getButtonDisplayMode(node, options);
+      if (buttonDisplayMode) {
+        commboxNode.buttonDisplayMode = buttonDisplayMode;
+      }
+      output.push(commboxNode);
+      
+      // Process children
+      if (node.children && node.children.length > 0) {
+        node.children.forEach(childId => {
+          const childNode = nodeMap.get(childId);
+          if (childNode) {
+            processNode(childNode, commboxNode.id, node.edgeLabels[childId], { edgeId: node.edgeIds[childId], sourceId: node.id });
+          }
+        });
+      }
+      
+      activePath.delete(node.id);
+      return commboxNode;
+    }
+    
+    // The flows in a "תהליכים קבועים" container - or under a top-level node with
+    // that label - become the fixed-process block. They go first, so that edges
+    // from the main flow into them become jumps.
+    const isBlockLabel = node => [FIXED_PROCESSES_TEXT, handlers.text].includes(getLabelText(node.value));
+    const fixedRoots = hierarchy.filter(node => node.children.length > 0 && isBlockLabel(node));
+    output = fixedNodes;
+    fixedContainers.concat(fixedRoots).forEach(container => {
+      if (fixedText === null) {
+        fixedText = getLabelText(container.value);
+        ids.manifest.push({ ...pageEntry, cellId: container.id, role: 'node', label: fixedText, nodeId: FIXED_NODE_IDS.processes });
+      }
+      processedNodes.add(container.id);
+      commboxNodes.set(container.id, { id: FIXED_NODE_IDS.processes, text: fixedText });
+      container.children.forEach(childId => {
+        processNode(nodeMap.get(childId), FIXED_NODE_IDS.processes, container.edgeLabels[childId], { edgeId: container.edgeIds[childId], sourceId: container.id });
+      });
+    });
+    
+    // The diagram's own transfer, error and unknown nodes are the handlers of
+    // their kind. The first of each kind that no edge leads to moves into the
+    // block - one inside the flow stays there, and the block gets a copy of it.
+    const mainRoots = hierarchy.filter(rootNode => !fixedRoots.includes(rootNode));
+    if (handlers.fromDiagram) {
+      HANDLER_KINDS.filter(kind => !hasHandler(fixedNodes, kind)).forEach(kind => {
+        const handlerNode = mainRoots.find(node => !processedNodes.has(node.id) && detectNodeType(node, ruleSet) === kind);
+        if (handlerNode) {
+          processNode(handlerNode, FIXED_NODE_IDS.processes);
+        }
+      });
+    }
+    output = scriptArray;
+    
+    // Process all hierarchy roots
+    mainRoots.filter(rootNode => !processedNodes.has(rootNode.id)).forEach(rootNode => {
+      processNode(rootNode, pageParentId);
+    });
+    
+    // Flows that only loop back on themselves have no root - start them at
+    // their first node in the diagram. Checked node by node, as a decision of
+    // such a flow drops edges too.
+    const isConnected = node => page.connections.some(conn => conn.target === node.id && !droppedEdges.has(conn.id));
+    page.nodes.forEach(node => {
+      if (!processedNodes.has(node.id) && isConnected(node)) {
+        processNode(nodeMap.get(node.id), pageParentId);
+      }
+    });
+    
+    if (handlers.fromDiagram) {
+      HANDLER_KINDS.filter(kind => !hasHandler(fixedNodes, kind)).forEach(kind => {
+        const handlerNode = page.nodes.find(node => commboxNodes.has(node.id) && detectNodeType(node, ruleSet) === kind);
+        if (handlerNode) {
+          // The copy links the attachments of the node in the flow - the same files
+          const copy = convertToCommboxNode(handlerNode, FIXED_NODE_IDS[kind], FIXED_NODE_IDS.processes, '', ruleSet);
+          copy.attachments = commboxNodes.get(handlerNode.id).attachments;
+          fixedNodes.push(copy);
+        }
+      });
+    }
+    
+    // Conditions on collected inputs refer to the input's generated field name
+    pendingConditions.forEach(({ node, commboxNode, inputNodeId }) => {
+      const inputNode = commboxNodes.get(inputNodeId);
+      const uniqueName = inputNode && inputNode.d_e ? inputNode.d_e[0].uniqueName : null;
+      if (!uniqueName) {
+        warnings.push(createFinding(page, 'error', 'unknown-field', node, 'נוד הקלט שהתנאי מתייחס אליו לא הומר'));
+        return;
+      }
+      commboxNode.conditions.forEach(condition => {
+        condition.field = uniqueName;
+      });
+    });
+  });
+  
+  // The fixed-process block - the diagram's handlers, then the built-in ones it
+  // has no node of and the extra handlers of the options
+  const blockNodes = [{
+    id: FIXED_NODE_IDS.processes,
+    text: fixedText !== null ? fixedText : handlers.text,
+    parent: ROOT_NODE_ID,
+    buttonDisplayMode: "1",
+    rI: "2",
+    addChannelStateMessage: false,
+    attachments: {}
+  }, ...fixedNodes];
+  HANDLER_KINDS.forEach(kind => {
+    if (handlers[kind] && !hasHandler(fixedNodes, kind)) {
+      blockNodes.push(createBuiltInHandler(kind, handlers[kind]));
+    }
+  });
+  handlers.extra.forEach(handler => {
+    const handlerId = ids.allocate(`::handler:${handler.text}`, { pageId: null, pageName: null, cellId: null, role: 'handler', label: handler.text });
+    const handlerNode = {
+      id: handlerId,
+      text: handler.text,
+      parent: FIXED_NODE_IDS.processes,
+      rI: "2",
+      addChannelStateMessage: false,
+      attachments: {},
+      ...HANDLER_FLAGS[handler.type]
+    };
+    if (handler.message) {
+      handlerNode.bodyHtml = sanitizeLabelHtml(handler.message);
+    }
+    blockNodes.push(handlerNode);
+  });
+  
+  // Header node settings point at a diagram cell - or straight at a Commbox node id
+  const generatedIds = new Set(scriptArray.slice(1).concat(blockNodes).map(node => node.id));
+  SCRIPT_NODE_SETTINGS.forEach(key => {
+    const value = settings[key];
+    if (!value) return;
+    if (generatedIds.has(value)) {
+      scriptArray[0][key] = value;
+    } else if (cellNodeIds.has(value)) {
+      scriptArray[0][key] = cellNodeIds.get(value);
+    } else {
+      warnings.push(createFinding(pages[0], 'warning', 'unknown-setting-node', null, `${key}: הנוד ${value} לא נמצא בסקריפט - ההגדרה נשארה ריקה`));
+    }
+  });
+  
+  scriptArray.push(...blockNodes);
+  return scriptArray;
+}
+
+// Whether generated nodes include a handler of the given kind
+function hasHandler(commboxNodes, kind) {
+  const flag = Object.entries(HANDLER_FLAGS[kind])[0];
+  return commboxNodes.some(node => node[flag[0]] === flag[1]);
+}
+
+// Built-in handler of the fixed-process block (מעבר לנציג, שגיאה, לא ידוע)
+// with the text and message of the options
+function createBuiltInHandler(kind, handler) {
+  const handlerNode = {
+    id: FIXED_NODE_IDS[kind],
+    text: handler.text,
+    parent: FIXED_NODE_IDS.processes,
+    rI: "2",
+    addChannelStateMessage: false
+  };
+  if (kind === 'transfer') {
+    handlerNode.attachments = {};
+  } else {
+    Object.assign(handlerNode, HANDLER_FLAGS[kind]);
+  }
+  if (handler.message) {
+    handlerNode.bodyHtml = sanitizeLabelHtml(handler.message);
+  }
+  return handlerNode;
+}
+
+// Button display mode of a node whose outgoing edges are labelled (a menu).
+// A buttonDisplayMode property or style key of the cell wins over options.buttonDisplayModes
+// (by cell id), which wins over the options.buttonDisplayMode default.
+function getButtonDisplayMode(node, options = {}) {
+  const hasButtons = Object.values(node.edgeLabels || {}).some(label => label);
+  const styleMode = (node.properties && node.properties.buttonDisplayMode) || getStyleValue(node.style, 'buttonDisplayMode');
+  
+  if (styleMode) {
+    return styleMode;
+  }
+  if (!hasButtons) {
+    return null;
+  }
+  if (options.buttonDisplayModes && options.buttonDisplayModes[node.id]) {
+    return String(options.buttonDisplayModes[node.id]);
+  }
+  return options.buttonDisplayMode ? String(options.buttonDisplayMode) : null;
+}
+
+// Build the Commbox scripts of parsed data, with the warnings and jumps found on the
+// way, the embedded attachment files and the id manifest mapping Draw.io cells to
+// the generated node ids.
+// options.pageMode: 'scripts' (default) - every page becomes its own <SCRIPT>,
+//                   'subtree' - all pages go into one <SCRIPT>, a sub-tree per page
+// The other options are passed on to buildScriptArray.
+function buildScripts(parsedData, options = {}) {
+  const { pages } = parsedData;
+  const pageMode = options.pageMode || 'scripts';
+  
+  if (!PAGE_MODES.includes(pageMode)) {
+    throw new Error(`Unknown page mode: ${pageMode}`);
+  }
+  if (options.edgeLabelMode && !EDGE_LABEL_MODES.includes(options.edgeLabelMode)) {
+    throw new Error(`Unknown edge label mode: ${options.edgeLabelMode}`);
+  }
+  
+  const report = { warnings: [], jumps: [], files: [], ids: createIdAllocator() };
+  let scripts;
+  if (pageMode === 'subtree') {
+    scripts = [{ name: null, scriptArray: buildScriptArray(pages, true, options, report) }];
+  } else {
+    scripts = pages.map(page => ({
+      name: pages.length > 1 ? page.name : null,
+      scriptArray: buildScriptArray([page], false, options, report)
+    }));
+  }
+  
+  // Draw.io cell (or edge) id to Commbox node id of every generated node
+  const idManifest = {
+    rootNodeId: ROOT_NODE_ID,
+    fixedNodeIds: FIXED_NODE_IDS,
+    nodes: report.ids.manifest
+  };
+  
+  return { scripts, warnings: report.warnings, jumps: report.jumps, files: report.files, idManifest };
+}
+
+// Render built Commbox scripts as a Scripts section XML.
+// settings.name and settings.brand (see getScriptSettings) set the SCRIPT attributes;
+// without a name the script is called "Bot Generated <time>". A script merged into
+// an existing export (see mergeWithExport) keeps the name, stream id and brand
+// of its SCRIPT there.
+function renderCommboxXML(scripts, settings = SCRIPT_SETTINGS_DEFAULTS) {
+  // Generate final XML
+  const timestamp = new Date().toLocaleString('he-IL');
+  const generatedAt = Date.now();
+  const baseName = settings.name || `Bot Generated ${timestamp}`;
+  const scriptElements = scripts.map((script, i) => {
+    // Convert to JSON string and escape for XML
+    const escapedValue = escapeXml(JSON.stringify(script.scriptArray));
+    const streamId = scripts.length > 1 ? `generated_${generatedAt}_${i + 1}` : `generated_${generatedAt}`;
+    const name = script.name ? `${baseName} - ${script.name}` : baseName;
+    const { existing } = script;
+    return `    <SCRIPT Value="${escapedValue}" 
+            EncryptedStreamId="${escapeXml(existing ? existing.streamId : streamId)}" 
+            Name="${escapeXml(existing ? existing.name : name)}" 
+            Brand="${escapeXml(existing ? existing.brand : settings.brand)}" />`;
+  });
+  
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<Section Name="Scripts">
+${scriptElements.join('\n')}
+</Section>`;
+  
+  return xml;
+}
+
+// CRC-32 of bytes, as zip entries store it
+function crc32(data) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of data) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+    }
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Zip archive of [{ name, data }] entries (data as a string or bytes), stored
+// without compression - the attachments bundle holds images and PDFs, which are
+// compressed already
+function createZipArchive(entries, date = new Date()) {
+  const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  
+  entries.forEach(entry => {
+    const fileName = toBytes(entry.name);
+    const data = toBytes(entry.data);
+    const checksum = crc32(data);
+    
+    const local = new Uint8Array(30);
+    const localView = new DataView(local.buffer);
+    localView.setUint32(0, 0x04034b50, true);
+    localView.setUint16(4, 20, true);
+    localView.setUint16(6, 0x0800, true); // UTF-8 file names
+    localView.setUint16(10, dosTime, true);
+    localView.setUint16(12, dosDate, true);
+    localView.setUint32(14, checksum, true);
+    localView.setUint32(18, data.length, true);
+    localView.setUint32(22, data.length, true);
+    localView.setUint16(26, fileName.length, true);
+    
+    const central = new Uint8Array(46);
+    const centralView = new DataView(central.buffer);
+    centralView.setUint32(0, 0x02014b50, true);
+    centralView.setUint16(4, 20, true);
+    centralView.setUint16(6, 20, true);
+    centralView.setUint16(8, 0x0800, true);
+    centralView.setUint16(12, dosTime, true);
+    centralView.setUint16(14, dosDate, true);
+    centralView.setUint32(16, checksum, true);
+    centralView.setUint32(20, data.length, true);
+    centralView.setUint32(24, data.length, true);
+    centralView.setUint16(28, fileName.length, true);
+    centralView.setUint32(42, offset, true);
+    
+    localParts.push(local, fileName, data);
+    centralParts.push(central, fileName);
+    offset += local.length + fileName.length + data.length;
+  });
+  
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, 0x06054b50, true);
+  endView.setUint16(8, entries.length, true);
+  endView.setUint16(10, entries.length, true);
+  endView.setUint32(12, centralSize, true);
+  endView.setUint32(16, offset, true);
+  
+  return concatBytes([...localParts, ...centralParts, end]);
+}
+
+// Bytes of several parts, one after the other
+function concatBytes(parts) {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+}
+
+// Generate Commbox XML from parsed data - see buildScripts for the options
+function generateCommboxXML(parsedData, options = {}) {
+  return renderCommboxXML(buildScripts(parsedData, options).scripts, options.scriptSettings);
+}
+
+// Parse a Commbox Scripts export back into its script arrays
+async function parseCommboxXML(fileContent) {
+  let result;
+  try {
+    result = await parseXml(fileContent);
+  } catch (error) {
+    throw requestError('Invalid Commbox file format - the file is not XML');
+  }
+  const scriptElements = result && result.Section && result.Section.SCRIPT;
+  
+  if (!scriptElements || scriptElements.length === 0) {
+    throw requestError('Invalid Commbox file format - no SCRIPT found');
+  }
+  
+  // The XML parser already unescapes the attribute entities
+  const scripts = scriptElements.map((element, index) => {
+    const attrs = element.$ || {};
+    let scriptArray;
+    try {
+      scriptArray = JSON.parse(attrs.Value || '');
+    } catch (error) {
+      throw requestError(`Invalid SCRIPT Value JSON in script ${index + 1}`);
+    }
+    
+    if (!Array.isArray(scriptArray)) {
+      throw requestError(`SCRIPT Value of script ${index + 1} is not an array`);
+    }
+    
+    return {
+      name: attrs.Name || `Script ${index + 1}`,
+      streamId: attrs.EncryptedStreamId || '',
+      brand: attrs.Brand || '',
+      scriptArray
+    };
+  });
+  
+  return { scripts };
+}
+
+// Detect the Draw.io node type of an existing Commbox node
+function detectCommboxNodeType(commboxNode) {
+  if (commboxNode.step === 'agent_node') {
+    return 'transfer';
+  }
+  if (commboxNode.step === 'condition_node') {
+    return 'decision';
+  }
+  if (commboxNode.error) {
+    return 'error';
+  }
+  if (commboxNode.unknown) {
+    return 'unknown';
+  }
+  if (commboxNode.end) {
+    return 'end';
+  }
+  if (Array.isArray(commboxNode.d_e) && commboxNode.d_e.length > 0) {
+    return 'input';
+  }
+  return 'message';
+}
+
+// Custom properties of the Draw.io cell for a Commbox node - the settings of its
+// input field and its attachment URLs, as the converter reads them back
+function getCellProperties(node) {
+  const properties = {};
+  const field = node.d_e && node.d_e[0];
+  if (field) {
+    properties.uniqueName = field.uniqueName;
+    if (field.fieldType && field.fieldType !== '1') properties.fieldType = field.fieldType;
+    if (field.validation) properties.validation = field.validation;
+    if (field.isMandatory === false) properties.isMandatory = 'false';
+  }
+  
+  const urls = Object.values(node.attachments || {}).map(attachment => attachment && attachment.url).filter(Boolean);
+  if (urls.length > 0) {
+    properties.attachment = urls.join(' ');
+  }
+  return properties;
+}
+
+// Label for a Draw.io cell - adds the type keyword when the text alone
+// would not be detected as the same node type
+function buildCellLabel(text, nodeType) {
+  const keyword = TYPE_KEYWORDS[nodeType];
+  if (!keyword || detectNodeType({ value: text }) === nodeType) {
+    return text;
+  }
+  return text ? `${keyword} - ${text}` : keyword;
+}
+
+// Build an mxGraphModel XML string with a top-down tree layout of a Commbox script.
+// The root node and the built-in fixed processes block are left out, as
+// generateCommboxXML adds them again on conversion.
+function buildGraphModelFromScript(scriptArray) {
+  const commboxNodes = scriptArray.filter(item => item && item.id !== undefined && item.parent !== undefined);
+  const rootIds = new Set(commboxNodes.filter(node => node.parent === '#').map(node => node.id));
+  
+  // Resolve each node's parent. If the script has duplicate ids, the parent is
+  // the closest node with that id that comes before the child.
+  const nodeById = new Map();
+  const parentOf = new Map();
+  commboxNodes.forEach(node => {
+    parentOf.set(node, nodeById.get(node.parent));
+    nodeById.set(node.id, node);
+  });
+  commboxNodes.forEach(node => {
+    if (!parentOf.get(node)) {
+      parentOf.set(node, nodeById.get(node.parent));
+    }
+  });
+  
+  // The fixed-process block is added on every conversion, with its built-in
+  // handlers. Only a block with handlers of its own is drawn - as a top-level
+  // node labelled like the block, with its own handlers under it.
+  const isFixedBlock = node => rootIds.has(node.parent) && (node.id === FIXED_NODE_IDS.processes || node.text === FIXED_PROCESSES_TEXT);
+  const builtInTexts = HANDLER_KINDS.map(kind => GLOBAL_HANDLERS_DEFAULTS[kind].text);
+  const jumpTargets = new Set(commboxNodes.map(node => node.jumpNode).filter(Boolean));
+  const isBuiltInHandler = node => isFixedBlock(parentOf.get(node) || {}) && !jumpTargets.has(node.id) && (
+    HANDLER_KINDS.some(kind => FIXED_NODE_IDS[kind] === node.id) ||
+    (builtInTexts.includes(node.text) && !node.bodyHtml && !commboxNodes.some(child => parentOf.get(child) === node))
+  );
+  
+  const skipped = new Set();
+  commboxNodes.forEach(node => {
+    if (rootIds.has(node.id) && node.parent === '#') {
+      skipped.add(node);
+    } else if (isFixedBlock(node) && commboxNodes.every(child => parentOf.get(child) !== node || isBuiltInHandler(child))) {
+      skipped.add(node);
+    } else if (isBuiltInHandler(node)) {
+      skipped.add(node);
+    }
+  });
+  
+  // Children of each node, and the diagram roots
+  const childrenOf = new Map();
+  const roots = [];
+  commboxNodes.forEach(node => {
+    if (skipped.has(node)) return;
+    const parentNode = parentOf.get(node);
+    if (parentNode && skipped.has(parentNode)) {
+      // Children of the fixed processes block are recreated with it
+      if (isFixedBlock(parentNode)) {
+        skipped.add(node);
+        return;
+      }
+      roots.push(node);
+    } else if (parentNode && parentNode !== node) {
+      // Jump nodes are drawn as an edge to their target, not as a cell
+      if (!childrenOf.has(parentNode)) {
+        childrenOf.set(parentNode, []);
+      }
+      childrenOf.get(parentNode).push(node);
+    } else if (!node.jumpNode) {
+      roots.push(node);
+    }
+  });
+  
+  // Tree layout - leaves are placed left to right, parents centred above their children
+  const positions = new Map();
+  const stepX = LAYOUT.nodeWidth + LAYOUT.horizontalGap;
+  const stepY = LAYOUT.nodeHeight + LAYOUT.verticalGap;
+  let nextX = LAYOUT.margin;
+  
+  function place(node, depth) {
+    if (positions.has(node)) return positions.get(node).x;
+    positions.set(node, { x: 0, y: LAYOUT.margin + depth * stepY });
+    
+    const children = (childrenOf.get(node) || []).filter(child => !child.jumpNode);
+    let x;
+    if (children.length === 0) {
+      x = nextX;
+      nextX += stepX;
+    } else {
+      const childXs = children.map(child => place(child, depth + 1));
+      x = (childXs[0] + childXs[childXs.length - 1]) / 2;
+    }
+    positions.get(node).x = x;
+    return x;
+  }
+  
+  roots.forEach(root => place(root, 0));
+  
+  // Unique cell ids - reuse the Commbox ids where possible
+  const cellIds = new Map();
+  const usedIds = new Set(['0', '1']);
+  positions.forEach((position, node) => {
+    let cellId = String(node.id);
+    for (let i = 2; usedIds.has(cellId); i++) {
+      cellId = `${node.id}_${i}`;
+    }
+    usedIds.add(cellId);
+    cellIds.set(node, cellId);
+  });
+  
+  const cells = ['<mxCell id="0"/>', '<mxCell id="1" parent="0"/>'];
+  
+  // A node with its own message under a parent in the diagram is a button -
+  // its text goes on the edge leading to it and the message on the cell
+  const isCondition = node => node && node.step === 'condition_node';
+  const isButton = node => node.bodyHtml && node.bodyHtml !== node.text && roots.indexOf(node) === -1 && !isCondition(parentOf.get(node));
+  
+  // Condition nodes are labelled with their field - a collected input is
+  // referenced by the cell id of its input node
+  const conditionLabel = node => {
+    const field = (node.conditions && node.conditions[0] && node.conditions[0].field) || node.text || '';
+    const inputNode = commboxNodes.find(item => item.d_e && item.d_e[0] && item.d_e[0].uniqueName === field && cellIds.has(item));
+    return inputNode ? `{{${cellIds.get(inputNode)}}}` : field;
+  };
+  
+  // Edge label of a condition branch
+  const branchLabel = (conditionNode, child) => {
+    const condition = (conditionNode.conditions || []).find(item => item.nodeId === child.id);
+    if (condition) {
+      return `${condition.operator} "${condition.value}"`;
+    }
+    return conditionNode.defaultNodeId === child.id ? 'אחרת' : '';
+  };
+  
+  positions.forEach((position, node) => {
+    const nodeType = detectCommboxNodeType(node);
+    let text = node.text;
+    let isHtml = false;
+    if (nodeType === 'decision') {
+      text = conditionLabel(node);
+    } else if (isButton(node)) {
+      text = node.bodyHtml;
+      isHtml = true;
+    } else if (node.bodyHtml && node.bodyHtml !== escapeHtml(node.text || '')) {
+      // No edge to carry the text - it goes above a "---" line (see parseLabel)
+      text = getLabelText(node.bodyHtml) === node.text ? node.bodyHtml : `${escapeHtml(node.text || '')}<br>---<br>${node.bodyHtml}`;
+      isHtml = true;
+    }
+    let style = TYPE_STYLES[nodeType] + (isHtml ? 'html=1;' : '');
+    if (node.buttonDisplayMode) {
+      style += `buttonDisplayMode=${node.buttonDisplayMode};`;
+    }
+    const geometry = `<mxGeometry x="${position.x}" y="${position.y}" width="${LAYOUT.nodeWidth}" height="${LAYOUT.nodeHeight}" as="geometry"/>`;
+    const properties = getCellProperties(node);
+    if (Object.keys(properties).length > 0) {
+      // Input fields and attachments are kept as custom properties of the
+      // shape - with the node type as one, the label needs no keyword
+      const label = text || '';
+      if (nodeType !== 'message' && nodeType !== 'decision') {
+        properties.type = nodeType;
+      }
+      const attributes = Object.entries(properties).map(([key, value]) => ` ${key}="${escapeXml(value)}"`).join('');
+      cells.push(
+        `<UserObject label="${escapeXml(label)}"${attributes} id="${escapeXml(cellIds.get(node))}">` +
+        `<mxCell style="${escapeXml(style)}" vertex="1" parent="1">${geometry}</mxCell>` +
+        '</UserObject>'
+      );
+    } else {
+      const label = buildCellLabel(text || '', nodeType);
+      cells.push(
+        `<mxCell id="${escapeXml(cellIds.get(node))}" value="${escapeXml(label)}" style="${escapeXml(style)}" vertex="1" parent="1">` +
+        geometry +
+        '</mxCell>'
+      );
+    }
+  });
+  
+  let edgeIndex = 1;
+  childrenOf.forEach((children, parentNode) => {
+    children.forEach(child => {
+      // A jump becomes an edge back (or across) to the node it jumps to
+      const target = child.jumpNode ? nodeById.get(child.jumpNode) : child;
+      if (!cellIds.has(target)) return;
+      
+      let edgeId = `e_${edgeIndex++}`;
+      while (usedIds.has(edgeId)) {
+        edgeId = `e_${edgeIndex++}`;
+      }
+      usedIds.add(edgeId);
+      let edgeLabel = isButton(child) ? child.text : '';
+      if (child.jumpNode) {
+        edgeLabel = child.text !== target.text ? child.text : '';
+      }
+      if (isCondition(parentNode)) {
+        edgeLabel = branchLabel(parentNode, child);
+      }
+      cells.push(
+        `<mxCell id="${edgeId}" value="${escapeXml(edgeLabel)}" style="${EDGE_STYLE}" edge="1" parent="1" source="${escapeXml(cellIds.get(parentNode))}" target="${escapeXml(cellIds.get(target))}">` +
+        '<mxGeometry relative="1" as="geometry"/>' +
+        '</mxCell>'
+      );
+    });
+  });
+  
+  return {
+    xml: `<mxGraphModel grid="1" gridSize="10" arrows="1" connect="1" page="1">\n  <root>\n    ${cells.join('\n    ')}\n  </root>\n</mxGraphModel>`,
+    nodesCount: positions.size,
+    connectionsCount: edgeIndex - 1
+  };
+}
+
+// Generate an uncompressed Draw.io file from parsed Commbox scripts - a page per script
+function generateDrawioFile(parsedCommbox) {
+  const pageStats = [];
+  const diagrams = parsedCommbox.scripts.map((script, index) => {
+    const graphModel = buildGraphModelFromScript(script.scriptArray);
+    const pageId = `page_${index + 1}`;
+    pageStats.push({
+      id: pageId,
+      name: script.name,
+      nodesCount: graphModel.nodesCount,
+      connectionsCount: graphModel.connectionsCount
+    });
+    return `  <diagram id="${pageId}" name="${escapeXml(script.name)}">\n${graphModel.xml}\n  </diagram>`;
+  });
+  
+  const drawio = `<mxfile host="Commbox Bot Builder" type="device">\n${diagrams.join('\n')}\n</mxfile>`;
+  return { drawio, pages: pageStats };
+}
+
+// Mermaid statements with their line numbers - one per line, or several on a
+// line separated by ";" outside quotes, brackets and edge labels. %% lines are
+// comments. Front matter (between --- lines) comes before the diagram - only
+// its title is kept.
+function splitMermaidStatements(text) {
+  const lines = text.split(/\r?\n/);
+  const statements = [];
+  let title = '';
+  let index = 0;
+  
+  if (lines[0].trim() === '---') {
+    const end = lines.findIndex((line, lineIndex) => lineIndex > 0 && line.trim() === '---');
+    if (end > 0) {
+      const titleLine = lines.slice(1, end).find(line => /^title\s*:/.test(line.trim()));
+      title = titleLine ? unquote(titleLine.trim().replace(/^title\s*:\s*/, '')) : '';
+      index = end + 1;
+    }
+  }
+  
+  for (; index < lines.length; index++) {
+    const line = lines[index].trim();
+    if (!line || line.startsWith('%%')) continue;
+    
+    let quoted = false;
+    let piped = false;
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i <= line.length; i++) {
+      const char = line[i];
+      if (i < line.length && char !== ';') {
+        if (char === '"') {
+          quoted = !quoted;
+        } else if (!quoted && char === '|' && depth === 0) {
+          piped = !piped;
+        } else if (!quoted && '([{'.includes(char)) {
+          depth++;
+        } else if (!quoted && ')]}'.includes(char)) {
+          depth = Math.max(0, depth - 1);
+        }
+        continue;
+      }
+      if (i < line.length && (quoted || piped || depth > 0)) continue;
+      const statement = line.slice(start, i).trim();
+      if (statement) {
+        statements.push({ text: statement, line: index + 1 });
+      }
+      start = i + 1;
+    }
+  }
+  
+  return { title, statements };
+}
+
+// The Mermaid node at a position of a statement - its id, and its label and
+// shape when they are given there. end is the position after the node.
+function readMermaidNode(text, position) {
+  const idMatch = text.slice(position).match(MERMAID_ID_PATTERN);
+  if (!idMatch) return null;
+  
+  const node = { id: idMatch[0], end: position + idMatch[0].length };
+  const opening = MERMAID_SHAPES.find(([open]) => text.startsWith(open, node.end));
+  if (opening) {
+    // Shapes with the same opening differ in their closing - the nearest one counts
+    const labelStart = node.end + opening[0].length;
+    const quoteEnd = text[labelStart] === '"' ? text.indexOf('"', labelStart + 1) : -1;
+    let nearest = null;
+    MERMAID_SHAPES.filter(([open]) => open === opening[0]).forEach(([open, close, shape]) => {
+      const closeAt = quoteEnd > 0 ?
+        (text.startsWith(close, quoteEnd + 1) ? quoteEnd + 1 : -1) :
+        text.indexOf(close, labelStart);
+      if (closeAt >= 0 && (!nearest || closeAt < nearest.closeAt)) {
+        nearest = { closeAt, close, shape };
+      }
+    });
+    if (!nearest) return null;
+    
+    node.label = quoteEnd > 0 ? text.slice(labelStart + 1, quoteEnd) : text.slice(labelStart, nearest.closeAt).trim();
+    node.shape = nearest.shape;
+    node.end = nearest.closeAt + nearest.close.length;
+  }
+  
+  // Class shorthand (A:::className) - styling only
+  const className = text.slice(node.end).match(/^:::[\w-]+/);
+  if (className) {
+    node.end += className[0].length;
+  }
+  return node;
+}
+
+// The Mermaid link at the start of a text - its label, whether it points both
+// ways (<-->) and whether it is hidden (~~~). length is the length of the link.
+function readMermaidLink(text) {
+  const arrow = text.match(MERMAID_LINK_PATTERN);
+  if (arrow) {
+    return {
+      length: arrow[0].length,
+      label: unquote((arrow[3] || '').trim()),
+      both: arrow[1] === '<' && arrow[2].endsWith('>'),
+      hidden: arrow[2].startsWith('~')
+    };
+  }
+  
+  const textLink = text.match(MERMAID_TEXT_LINK_PATTERN);
+  if (textLink) {
+    return {
+      length: textLink[0].length,
+      label: unquote(textLink[2]),
+      both: textLink[1] === '<' && textLink[3].endsWith('>'),
+      hidden: false
+    };
+  }
+  return null;
+}
+
+// Flow of a Mermaid flowchart (see renderFlowSource) - one page with its nodes,
+// links and subgraphs, which become containers. A node belongs to the subgraph
+// it first appears in. Class, style and click statements are left out.
+function parseMermaid(text) {
+  const { title, statements } = splitMermaidStatements(text);
+  const header = statements.shift();
+  if (!header || !MERMAID_HEADER.test(header.text)) {
+    throw requestError('תרשים Mermaid צריך להתחיל ב-flowchart או graph - סוגי תרשימים אחרים אינם נתמכים');
+  }
+  const lineError = (statement, message) => requestError(`שורה ${statement.line} בתרשים ה-Mermaid: ${message}`);
+  
+  const nodes = new Map();
+  const edges = [];
+  const subgraphs = [];
+  const declare = ({ id, label, shape }) => {
+    if (!nodes.has(id)) {
+      nodes.set(id, { id, label: id, shape: 'rectangle', container: subgraphs[subgraphs.length - 1] || null });
+    }
+    const node = nodes.get(id);
+    if (label !== undefined) {
+      node.label = label;
+      node.shape = shape;
+    }
+    return node;
+  };
+  
+  statements.forEach(statement => {
+    const { text: line } = statement;
+    if (MERMAID_IGNORED_STATEMENTS.test(line)) return;
+    
+    if (/^subgraph\b/.test(line)) {
+      // subgraph id [title], subgraph "title" or subgraph title
+      const rest = line.slice('subgraph'.length).trim();
+      const titled = rest.match(/^([\p{L}\p{N}_-]+)\s*\[\s*(?:"([^"]*)"|([^\]]*))\s*\]$/u);
+      let id;
+      let label;
+      if (titled) {
+        id = titled[1];
+        label = titled[2] !== undefined ? titled[2] : titled[3].trim();
+      } else {
+        const idMatch = rest.match(MERMAID_ID_PATTERN);
+        label = unquote(rest);
+        id = idMatch && idMatch[0] === rest ? rest : `subgraph_${statement.line}`;
+      }
+      declare({ id, label: label || id, shape: 'container' });
+      subgraphs.push(id);
+      return;
+    }
+    if (line === 'end') {
+      if (subgraphs.length === 0) {
+        throw lineError(statement, 'end בלי subgraph פתוח');
+      }
+      subgraphs.pop();
+      return;
+    }
+    
+    // Node groups (A & B) joined by links: A --> B -->|label| C
+    let position = 0;
+    let sources = null;
+    let link = null;
+    for (;;) {
+      const group = [];
+      for (;;) {
+        const node = readMermaidNode(line, position);
+        if (!node) {
+          throw lineError(statement, `לא ניתן לקרוא את "${line.slice(position)}"`);
+        }
+        group.push(declare(node).id);
+        position = node.end;
+        position += line.slice(position).match(/^\s*/)[0].length;
+        if (line[position] !== '&') break;
+        position += 1 + line.slice(position + 1).match(/^\s*/)[0].length;
+      }
+      
+      if (sources && !link.hidden) {
+        sources.forEach(source => group.forEach(target => {
+          edges.push({ source, target, label: link.label });
+          if (link.both) {
+            edges.push({ source: target, target: source, label: link.label });
+          }
+        }));
+      }
+      if (position >= line.length) break;
+      
+      link = readMermaidLink(line.slice(position));
+      if (!link) {
+        throw lineError(statement, `חיבור לא מוכר: "${line.slice(position)}"`);
+      }
+      position += link.length;
+      position += line.slice(position).match(/^\s*/)[0].length;
+      sources = group;
+    }
+  });
+  
+  if (subgraphs.length > 0) {
+    throw requestError(`בתרשים ה-Mermaid חסר end ל-subgraph ${subgraphs[subgraphs.length - 1]}`);
+  }
+  
+  return {
+    pages: [{
+      id: 'page_1',
+      name: title,
+      direction: header.text.split(/\s+/)[1] || 'TD',
+      nodes: [...nodes.values()].map(node => ({
+        id: node.id,
+        label: node.label,
+        // Labels with tags (<br>, <b>...) are HTML, like Mermaid shows them
+        style: SHAPE_STYLES[node.shape] + (/<\/?[a-z][^>]*>/i.test(node.label) ? 'html=1;' : ''),
+        properties: {},
+        container: node.container
+      })),
+      edges
+    }]
+  };
+}
+
+// Flow of a bot definition (see renderFlowSource) - YAML or JSON with the
+// pages of the bot, or with the nodes of its only page. The format is
+// documented in the README.
+function parseBotDefinition(text, format = 'yaml') {
+  const formatName = format === 'json' ? 'JSON' : 'YAML';
+  let definition;
+  try {
+    definition = format === 'json' ? JSON.parse(text) : yaml.load(text);
+  } catch (error) {
+    // YAML errors come with an excerpt of the text - the line is enough
+    const message = error.mark ? `${error.reason} (שורה ${error.mark.line + 1})` : error.message;
+    throw requestError(`הגדרת הבוט אינה ${formatName} תקין: ${message}`);
+  }
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw requestError('הגדרת הבוט צריכה להיות אובייקט עם pages או nodes');
+  }
+  
+  const pages = definition.pages !== undefined ? definition.pages : [definition];
+  if (!Array.isArray(pages) || pages.length === 0) {
+    throw requestError('pages בהגדרת הבוט צריך להיות רשימה של עמודים');
+  }
+  return {
+    pages: pages.map((page, index) => readDefinitionPage(page, index, definition.direction))
+  };
+}
+
+// One page of a bot definition as a flow page - its nodes, and the edges of
+// their next entries
+function readDefinitionPage(page, index, direction) {
+  const pageName = page && page.name !== undefined ? String(page.name) : '';
+  const where = `הגדרת הבוט, עמוד ${pageName || index + 1}`;
+  if (!page || typeof page !== 'object' || !Array.isArray(page.nodes)) {
+    throw requestError(`${where}: חסרה רשימת nodes`);
+  }
+  
+  const nodes = [];
+  const edges = [];
+  page.nodes.forEach((node, nodeIndex) => {
+    const id = node && node.id !== undefined && node.id !== null ? String(node.id) : '';
+    const problem = message => requestError(`${where}, צומת ${id || nodeIndex + 1}: ${message}`);
+    if (!id) {
+      throw problem('חסר id');
+    }
+    if (nodes.some(other => other.id === id)) {
+      throw problem('יש כבר צומת עם ה-id הזה');
+    }
+    if (node.type !== undefined && !NODE_TYPES.includes(node.type)) {
+      throw problem(`סוג צומת לא מוכר: ${node.type}. הסוגים: ${NODE_TYPES.join(', ')}`);
+    }
+    if (node.shape !== undefined && !SHAPE_STYLES[node.shape]) {
+      throw problem(`צורה לא מוכרת: ${node.shape}. הצורות: ${Object.keys(SHAPE_STYLES).join(', ')}`);
+    }
+    if (node.properties !== undefined && (!node.properties || typeof node.properties !== 'object' || Array.isArray(node.properties))) {
+      throw problem('properties צריך להיות אובייקט');
+    }
+    
+    // The type and title are custom properties, as on a Draw.io shape - a type
+    // property decides the node type before any other rule
+    const properties = {};
+    Object.entries(node.properties || {}).forEach(([key, value]) => {
+      if (!/^[A-Za-z_][\w.-]*$/.test(key) || ['id', 'label', 'placeholders'].includes(key)) {
+        throw problem(`שם מאפיין לא תקין: ${key}`);
+      }
+      properties[key] = value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+    if (node.type) {
+      properties.type = node.type;
+    }
+    if (node.title !== undefined) {
+      properties.title = String(node.title);
+    }
+    
+    let style = node.style;
+    if (style === undefined) {
+      style = node.shape ? SHAPE_STYLES[node.shape] : (node.type === 'start' ? SHAPE_STYLES.ellipse : TYPE_STYLES[node.type || 'message']);
+    }
+    nodes.push({
+      id,
+      label: node.text !== undefined && node.text !== null ? String(node.text) : '',
+      style: String(style) + (node.html === true ? 'html=1;' : ''),
+      properties,
+      container: node.container !== undefined && node.container !== null ? String(node.container) : null,
+      explicitStyle: node.style !== undefined || node.shape !== undefined
+    });
+    
+    const next = node.next === undefined || node.next === null ? [] : [].concat(node.next);
+    next.forEach(item => {
+      const link = item !== null && typeof item === 'object' ? item : { to: item };
+      if (link.to === undefined || link.to === null) {
+        throw problem('ב-next יש מעבר בלי to');
+      }
+      edges.push({ source: id, target: String(link.to), label: link.label !== undefined && link.label !== null ? String(link.label) : '' });
+    });
+  });
+  
+  const nodeById = new Map(nodes.map(node => [node.id, node]));
+  edges.forEach(edge => {
+    if (!nodeById.has(edge.target)) {
+      throw requestError(`${where}, צומת ${edge.source}: next מוביל לצומת שאינו קיים: ${edge.target}`);
+    }
+  });
+  nodes.forEach(node => {
+    const seen = new Set([node.id]);
+    for (let container = node.container; container; container = nodeById.get(container).container) {
+      if (!nodeById.has(container)) {
+        throw requestError(`${where}, צומת ${node.id}: container שאינו קיים: ${container}`);
+      }
+      if (seen.has(container)) {
+        throw requestError(`${where}, צומת ${node.id}: הצומת נמצא בתוך עצמו`);
+      }
+      seen.add(container);
+    }
+  });
+  
+  return {
+    id: page.id !== undefined && page.id !== null ? String(page.id) : `page_${index + 1}`,
+    name: pageName,
+    direction: String(page.direction || direction || 'TD').toUpperCase(),
+    nodes: nodes.map(({ explicitStyle, ...node }) => ({
+      ...node,
+      // Nodes other nodes sit in are drawn as containers, unless they have a shape of their own
+      style: !explicitStyle && nodes.some(other => other.container === node.id) ? SHAPE_STYLES.container : node.style
+    })),
+    edges
+  };
+}
+
+// Layered layout of a flow page. Each container (and the page itself) places
+// the nodes in it by their distance along the edges from the nodes no edge
+// leads to - top to bottom, or left to right for LR and RL flows (BT and RL
+// are not mirrored). Containers are sized around their nodes.
+// Returns the geometry of every node, relative to its container.
+function layoutFlowPage(page) {
+  const horizontal = ['LR', 'RL'].includes(page.direction);
+  const across = horizontal ? 'height' : 'width';
+  const along = horizontal ? 'width' : 'height';
+  const nodeById = new Map(page.nodes.map(node => [node.id, node]));
+  const geometry = new Map();
+  
+  // The node in a container (null - the page) that a node is, or is inside of
+  const memberOf = (id, container) => {
+    for (let node = nodeById.get(id); node; node = nodeById.get(node.container)) {
+      if (node.container === container) return node.id;
+    }
+    return null;
+  };
+  
+  function layoutContainer(container, origin) {
+    const members = page.nodes.filter(node => node.container === container);
+    members.forEach(member => {
+      geometry.set(member.id, page.nodes.some(node => node.container === member.id) ?
+        layoutContainer(member.id, { x: CONTAINER_PADDING.side, y: CONTAINER_PADDING.header }) :
+        { width: LAYOUT.nodeWidth, height: LAYOUT.nodeHeight });
+    });
+    
+    const next = new Map(members.map(member => [member.id, []]));
+    const targets = new Set();
+    page.edges.forEach(edge => {
+      const source = memberOf(edge.source, container);
+      const target = memberOf(edge.target, container);
+      if (source && target && source !== target) {
+        next.get(source).push(target);
+        targets.add(target);
+      }
+    });
+    
+    // Breadth-first from the members no edge leads to; members only reached
+    // through a cycle start one of their own
+    const layerOf = new Map();
+    const walk = startIds => {
+      const queue = [...startIds];
+      startIds.forEach(id => layerOf.set(id, 0));
+      while (queue.length > 0) {
+        const id = queue.shift();
+        next.get(id).forEach(target => {
+          if (!layerOf.has(target)) {
+            layerOf.set(target, layerOf.get(id) + 1);
+            queue.push(target);
+          }
+        });
+      }
+    };
+    walk(members.filter(member => !targets.has(member.id)).map(member => member.id));
+    members.forEach(member => {
+      if (!layerOf.has(member.id)) walk([member.id]);
+    });
+    
+    const layers = [];
+    members.forEach(member => {
+      const layer = layerOf.get(member.id);
+      layers[layer] = (layers[layer] || []).concat(member.id);
+    });
+    
+    // Layers are centred on the widest one
+    const extents = layers.map(ids => ids.reduce((sum, id) => sum + geometry.get(id)[across], 0) + LAYOUT.horizontalGap * (ids.length - 1));
+    const widest = Math.max(0, ...extents);
+    let offsetAlong = 0;
+    layers.forEach((ids, layer) => {
+      const depth = Math.max(...ids.map(id => geometry.get(id)[along]));
+      let offsetAcross = (widest - extents[layer]) / 2;
+      ids.forEach(id => {
+        const box = geometry.get(id);
+        const alongPosition = offsetAlong + (depth - box[along]) / 2;
+        box.x = Math.round(origin.x + (horizontal ? alongPosition : offsetAcross));
+        box.y = Math.round(origin.y + (horizontal ? offsetAcross : alongPosition));
+        offsetAcross += box[across] + LAYOUT.horizontalGap;
+      });
+      offsetAlong += depth + LAYOUT.verticalGap;
+    });
+    
+    const contentAlong = Math.max(0, offsetAlong - LAYOUT.verticalGap);
+    return {
+      width: (horizontal ? contentAlong : widest) + CONTAINER_PADDING.side * 2,
+      height: (horizontal ? widest : contentAlong) + CONTAINER_PADDING.header + CONTAINER_PADDING.side
+    };
+  }
+  
+  layoutContainer(null, { x: LAYOUT.margin, y: LAYOUT.margin });
+  return geometry;
+}
+
+// Draw.io file of a flow - { pages: [{ id, name, direction, nodes, edges }] }
+// with nodes { id, label, style, properties, container } and edges
+// { source, target, label }. The converter reads it like any diagram, so text
+// sources get the same nodes and connections (see extractNodes) - and the same
+// node types and XML - as one drawn in Draw.io. Nodes with properties are
+// wrapped in a <UserObject>, as Draw.io saves shapes with custom properties.
+function renderFlowSource(flow) {
+  const diagrams = flow.pages.map(page => {
+    const geometry = layoutFlowPage(page);
+    const usedIds = new Set(page.nodes.map(node => node.id));
+    const unusedId = id => {
+      let candidate = id;
+      while (usedIds.has(candidate)) {
+        candidate += '_';
+      }
+      usedIds.add(candidate);
+      return candidate;
+    };
+    // Line breaks of labels are written as references - attribute values lose them otherwise
+    const escapeLabel = value => escapeXml(value).replace(/\r?\n/g, '&#10;');
+    const rootId = unusedId('0');
+    const layerId = unusedId('1');
+    const cells = [`<mxCell id="${escapeXml(rootId)}"/>`, `<mxCell id="${escapeXml(layerId)}" parent="${escapeXml(rootId)}"/>`];
+    
+    page.nodes.forEach(node => {
+      const { x, y, width, height } = geometry.get(node.id);
+      const cell = `style="${escapeXml(node.style)}" vertex="1" parent="${escapeXml(node.container || layerId)}"`;
+      const geometryXml = `<mxGeometry x="${x}" y="${y}" width="${width}" height="${height}" as="geometry"/>`;
+      const properties = Object.entries(node.properties);
+      if (properties.length > 0) {
+        const attributes = properties.map(([key, value]) => ` ${key}="${escapeLabel(value)}"`).join('');
+        cells.push(
+          `<UserObject label="${escapeLabel(node.label)}"${attributes} id="${escapeXml(node.id)}">` +
+          `<mxCell ${cell}>${geometryXml}</mxCell>` +
+          '</UserObject>'
+        );
+      } else {
+        cells.push(`<mxCell id="${escapeXml(node.id)}" value="${escapeLabel(node.label)}" ${cell}>${geometryXml}</mxCell>`);
+      }
+    });
+    
+    page.edges.forEach((edge, index) => {
+      cells.push(
+        `<mxCell id="${escapeXml(unusedId(`e_${index + 1}`))}" value="${escapeLabel(edge.label)}" style="${EDGE_STYLE}" edge="1" parent="${escapeXml(layerId)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">` +
+        '<mxGeometry relative="1" as="geometry"/>' +
+        '</mxCell>'
+      );
+    });
+    
+    const name = page.name ? ` name="${escapeXml(page.name)}"` : '';
+    return `  <diagram id="${escapeXml(page.id)}"${name}>\n<mxGraphModel grid="1" gridSize="10" arrows="1" connect="1" page="1">\n  <root>\n    ${cells.join('\n    ')}\n  </root>\n</mxGraphModel>\n  </diagram>`;
+  });
+  
+  return `<mxfile host="Commbox Bot Builder" type="device">\n${diagrams.join('\n')}\n</mxfile>`;
+}
+
+// Format of a diagram input - the format option when given, then the file
+// extension, then (for pasted text) what the content looks like. Text that
+// looks like none of them is rejected rather than parsed as Draw.io XML.
+function getSourceFormat(text, { filename = '', format = '' } = {}) {
+  if (format) {
+    if (!SOURCE_FORMATS.includes(format)) {
+      throw requestError(`פורמט קלט לא מוכר: ${format}`);
+    }
+    return format;
+  }
+  
+  const name = filename.toLowerCase();
+  const extension = Object.keys(SOURCE_EXTENSIONS).find(candidate => name.endsWith(candidate));
+  if (extension) {
+    return SOURCE_EXTENSIONS[extension];
+  }
+  
+  const trimmed = text.trim();
+  if (trimmed.startsWith('<')) {
+    return 'drawio';
+  }
+  const firstStatement = splitMermaidStatements(trimmed).statements[0];
+  if (firstStatement && MERMAID_HEADER.test(firstStatement.text)) {
+    return 'mermaid';
+  }
+  if (trimmed.startsWith('{')) {
+    return 'json';
+  }
+  const firstLine = trimmed.split(/\r?\n/).find(line => line.trim() && !line.trim().startsWith('#'));
+  if (firstLine && /^(---|[\w-]+\s*:)/.test(firstLine.trim())) {
+    return 'yaml';
+  }
+  throw requestError('פורמט הקלט לא זוהה - נתמכים קובצי Draw.io, תרשימי זרימה של Mermaid והגדרות בוט ב-YAML או JSON');
+}
+
+// Draw.io file of a text flow source - a Mermaid flowchart or a bot definition
+function readFlowSource(text, format) {
+  return renderFlowSource(format === 'mermaid' ? parseMermaid(text) : parseBotDefinition(text, format));
+}
+
+// Per-page and total node/connection counts
+function buildStats(pages) {
+  const pageStats = pages.map(page => ({
+    id: page.id,
+    name: page.name,
+    nodesCount: page.nodes.length,
+    connectionsCount: page.connections.length
+  }));
+  
+  return {
+    nodesCount: pageStats.reduce((sum, page) => sum + page.nodesCount, 0),
+    connectionsCount: pageStats.reduce((sum, page) => sum + page.connectionsCount, 0),
+    pages: pageStats
+  };
+}
+
+// Parse a form field that holds JSON, falling back to the raw value
+function parseJsonField(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+// Read the script header settings of a request (a JSON object of
+// SCRIPT_SETTINGS_DEFAULTS keys) on top of the defaults
+function getScriptSettings(value) {
+  const settings = parseJsonField(value);
+  if (!settings) {
+    return SCRIPT_SETTINGS_DEFAULTS;
+  }
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error('Script settings must be a JSON object');
+  }
+  
+  const result = { ...SCRIPT_SETTINGS_DEFAULTS };
+  Object.entries(settings).forEach(([key, setting]) => {
+    if (!(key in SCRIPT_SETTINGS_DEFAULTS)) {
+      throw new Error(`Unknown script setting: ${key}`);
+    }
+    if (setting === null || setting === undefined) return;
+    
+    if (key === 'seedId') {
+      // An empty seed field is no seed - the default one
+      if (String(setting).trim() === '') return;
+      const seedId = Number(setting);
+      if (!Number.isInteger(seedId) || seedId < 0) {
+        throw new Error('seedId must be a non-negative integer');
+      }
+      result.seedId = seedId;
+    } else if (key === 'allowUsingAI') {
+      result.allowUsingAI = setting === true || setting === 'true';
+    } else {
+      result[key] = String(setting).trim();
+    }
+  });
+  
+  if (!result.brand) {
+    throw new Error('brand must not be empty');
+  }
+  return result;
+}
+
+// Read the global handlers of a request (a JSON object like GLOBAL_HANDLERS_DEFAULTS)
+// on top of the defaults. A built-in handler set to false is left out.
+function getGlobalHandlers(value) {
+  const handlers = parseJsonField(value);
+  if (!handlers) {
+    return GLOBAL_HANDLERS_DEFAULTS;
+  }
+  if (typeof handlers !== 'object' || Array.isArray(handlers)) {
+    throw new Error('Global handlers must be a JSON object');
+  }
+  
+  const result = { ...GLOBAL_HANDLERS_DEFAULTS };
+  Object.entries(handlers).forEach(([key, handler]) => {
+    if (!(key in GLOBAL_HANDLERS_DEFAULTS)) {
+      throw new Error(`Unknown global handlers setting: ${key}`);
+    }
+    if (handler === null || handler === undefined) return;
+    
+    if (key === 'text') {
+      result.text = String(handler).trim() || FIXED_PROCESSES_TEXT;
+    } else if (key === 'fromDiagram') {
+      result.fromDiagram = handler === true || handler === 'true';
+    } else if (key === 'extra') {
+      if (!Array.isArray(handler)) {
+        throw new Error('extra must be an array');
+      }
+      result.extra = handler.map((item, index) => {
+        const type = item && item.type ? item.type : 'message';
+        if (!item || !String(item.text || '').trim()) {
+          throw new Error(`Extra handler ${index + 1} needs a text`);
+        }
+        if (!HANDLER_FLAGS[type]) {
+          throw new Error(`Extra handler "${item.text}" has an unknown type "${type}"`);
+        }
+        return { text: String(item.text).trim(), message: String(item.message || ''), type };
+      });
+    } else if (handler === false) {
+      result[key] = false;
+    } else if (typeof handler === 'object') {
+      result[key] = {
+        text: String(handler.text || '').trim() || GLOBAL_HANDLERS_DEFAULTS[key].text,
+        message: String(handler.message || '')
+      };
+    } else {
+      throw new Error(`${key} must be an object or false`);
+    }
+  });
+  return result;
+}
+
+// Conversion options of a request's form fields, given as values or as JSON
+// strings - loadRuleSet looks up named rule sets (see resolveRuleSet)
+function getConversionOptions(body = {}, loadRuleSet = null) {
+  let pages = [];
+  if (Array.isArray(body.pages)) {
+    pages = body.pages;
+  } else if (typeof body.pages === 'string' && body.pages.trim()) {
+    try {
+      pages = JSON.parse(body.pages);
+    } catch (error) {
+      pages = body.pages.split(',').map(page => page.trim());
+    }
+  }
+  
+  const buttonDisplayModes = parseJsonField(body.buttonDisplayModes);
+  const options = {
+    pageMode: body.pageMode || 'scripts',
+    pages: Array.isArray(pages) ? pages : [pages],
+    edgeLabelMode: body.edgeLabelMode || 'child',
+    buttonDisplayMode: body.buttonDisplayMode || '',
+    buttonDisplayModes: buttonDisplayModes && typeof buttonDisplayModes === 'object' ? buttonDisplayModes : {}
+  };
+  
+  if (!PAGE_MODES.includes(options.pageMode)) {
+    throw requestError(`מצב עמודים לא מוכר: ${options.pageMode}`);
+  }
+  if (!EDGE_LABEL_MODES.includes(options.edgeLabelMode)) {
+    throw requestError(`מצב תוויות חיבורים לא מוכר: ${options.edgeLabelMode}`);
+  }
+  try {
+    options.ruleSet = resolveRuleSet(body.ruleSet, loadRuleSet);
+  } catch (error) {
+    throw requestError(`סט חוקים לא תקין: ${error.message}`);
+  }
+  try {
+    options.scriptSettings = getScriptSettings(body.scriptSettings);
+  } catch (error) {
+    throw requestError(`הגדרות סקריפט לא תקינות: ${error.message}`);
+  }
+  try {
+    options.globalHandlers = getGlobalHandlers(body.globalHandlers);
+  } catch (error) {
+    throw requestError(`תהליכים קבועים לא תקינים: ${error.message}`);
+  }
+  
+  options.attachmentBaseUrl = typeof body.attachmentBaseUrl === 'string' ? body.attachmentBaseUrl.trim() : '';
+  // A path relative to the XML is fine too - the command line's attachments folders
+  if (/^[a-z][a-z\d+.-]*:/i.test(options.attachmentBaseUrl) && !/^https?:\/\//i.test(options.attachmentBaseUrl)) {
+    throw requestError(`כתובת הבסיס לקבצים מצורפים אינה כתובת http/https או נתיב יחסי: ${options.attachmentBaseUrl}`);
+  }
+  
+  return options;
+}
+
+// Error in the options or the files of a request - answered with 400 instead of 500
+function requestError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Node type and matching rule of every node, for showing in the UI
+function describeNodeTypes(pages, ruleSet = DEFAULT_RULE_SET) {
+  return pages.reduce((all, page) => all.concat(page.nodes.map(node => ({
+    pageId: page.id,
+    cellId: node.id,
+    label: getLabelText(node.value),
+    ...matchNodeType(node, ruleSet)
+  }))), []);
+}
+
+// Conversion report of built scripts (see buildScripts) - an entry for every
+// diagram node, and for every edge that generated nodes or was dropped, with
+// its detected type and the reason, the generated Commbox node ids and the
+// warnings about the cell. Groups, which are never converted, are listed as
+// ignored.
+function buildConversionReport(pages, built, ruleSet = DEFAULT_RULE_SET) {
+  const cellKey = (pageId, cellId) => `${pageId}:${cellId}`;
+  const addTo = (map, key, value) => map.set(key, (map.get(key) || []).concat(value));
+  
+  const nodeIds = new Map();
+  const roles = new Map();
+  built.idManifest.nodes.filter(entry => entry.cellId).forEach(entry => {
+    addTo(nodeIds, cellKey(entry.pageId, entry.cellId), entry.nodeId);
+    addTo(roles, cellKey(entry.pageId, entry.cellId), entry.role);
+  });
+  const findings = new Map();
+  built.warnings.filter(finding => finding.cellId).forEach(finding => {
+    addTo(findings, cellKey(finding.pageId, finding.cellId), { severity: finding.severity, code: finding.code, message: finding.message });
+  });
+  const commboxNodes = new Map();
+  built.scripts.forEach(script => script.scriptArray.slice(1).forEach(node => commboxNodes.set(node.id, node)));
+  
+  const entries = [];
+  pages.forEach(page => {
+    const pageEntry = { pageId: page.id, pageName: page.name };
+    const cellIds = new Set(page.nodes.map(node => node.id));
+    
+    page.nodes.forEach(node => {
+      const key = cellKey(page.id, node.id);
+      const ids = nodeIds.get(key) || [];
+      const warnings = [...(findings.get(key) || [])];
+      const commboxNode = commboxNodes.get(ids[0]);
+      if (commboxNode && commboxNode.text === `Node ${commboxNode.id}`) {
+        warnings.push({ severity: 'warning', code: 'empty-label', message: `לנוד אין טקסט - הטקסט שלו בסקריפט הוא "${commboxNode.text}"` });
+      }
+      // Edges into the handlers of the fixed-process block are jumps by design
+      const revisits = built.jumps.filter(jump => jump.pageId === page.id && jump.targetCellId === node.id && jump.kind !== 'handler');
+      if (revisits.length > 0) {
+        const loops = revisits.filter(jump => jump.kind === 'loop').length;
+        warnings.push({ severity: 'warning', code: 'revisited', message: `לנוד מגיעים ${revisits.length} חיבורים נוספים (${loops} לולאות) - הם הומרו לקפיצות אליו` });
+      }
+      if (ids.length === 0) {
+        warnings.push({ severity: 'warning', code: 'ignored-cell', message: 'הנוד לא נוצר בסקריפט' });
+      }
+      entries.push({
+        ...pageEntry,
+        cellId: node.id,
+        kind: 'node',
+        label: getLabelText(node.value),
+        ...matchNodeType(node, ruleSet),
+        reason: explainNodeType(node, ruleSet),
+        nodeIds: ids,
+        status: ids.length > 0 ? 'converted' : 'ignored',
+        warnings
+      });
+    });
+    
+    page.connections.forEach(conn => {
+      const key = cellKey(page.id, conn.id);
+      const ids = nodeIds.get(key) || [];
+      const warnings = [...(findings.get(key) || [])];
+      const dropped = !cellIds.has(conn.source) || !cellIds.has(conn.target);
+      if (dropped) {
+        warnings.push({ severity: 'error', code: 'dangling-edge', message: 'החיבור אינו מחבר שני נודים - הוא לא הומר' });
+      }
+      if (ids.length === 0 && warnings.length === 0) return;
+      
+      const edgeRoles = roles.get(key) || [];
+      entries.push({
+        ...pageEntry,
+        cellId: conn.id,
+        kind: 'edge',
+        label: getLabelText(conn.value),
+        type: null,
+        ruleId: null,
+        reason: edgeRoles.includes('jump') ? 'קפיצה לנוד שכבר נוצר' : edgeRoles.includes('option') ? 'נוד בחירה לתווית החיבור' : '',
+        nodeIds: ids,
+        status: dropped ? 'dropped' : 'converted',
+        warnings
+      });
+    });
+    
+    (page.groups || []).forEach(group => {
+      entries.push({
+        ...pageEntry,
+        cellId: group.id,
+        kind: 'group',
+        label: getLabelText(group.value),
+        type: null,
+        ruleId: null,
+        reason: 'קבוצה - הצורות שבה מומרות, הקבוצה עצמה לא',
+        nodeIds: [],
+        status: 'ignored',
+        warnings: []
+      });
+    });
+  });
+  
+  return entries;
+}
+
+// Geometry of the converted pages for drawing them in the UI - the absolute
+// bounds and shape of every node, and the points of every edge. Waypoints of
+// an edge inside a container are relative to it in Draw.io; here they are
+// absolute as well.
+function buildDiagramView(pages) {
+  return pages.map(page => {
+    const bounds = new Map(page.nodes.map(node => [node.id, node.bounds]));
+    const containerIds = new Set(page.nodes.map(node => node.container).filter(Boolean));
+    const shapeOf = node => ['ellipse', 'rhombus', 'swimlane'].find(shape =>
+      getStyleEntry(node.style, shape) !== null || getStyleEntry(node.style, 'shape') === shape
+    ) || 'rectangle';
+    
+    return {
+      id: page.id,
+      name: page.name,
+      nodes: page.nodes.map(node => ({
+        id: node.id,
+        label: getLabelText(node.value),
+        bounds: node.bounds,
+        shape: shapeOf(node),
+        container: containerIds.has(node.id)
+      })),
+      edges: page.connections.map(conn => {
+        const offset = bounds.get(conn.parent) || { x: 0, y: 0 };
+        const absolute = point => point && { x: point.x + offset.x, y: point.y + offset.y };
+        return {
+          id: conn.id,
+          label: getLabelText(conn.value),
+          source: conn.source || null,
+          target: conn.target || null,
+          sourcePoint: absolute(conn.points?.sourcePoint) || null,
+          targetPoint: absolute(conn.points?.targetPoint) || null,
+          waypoints: (conn.points?.waypoints || []).map(absolute)
+        };
+      })
+    };
+  });
+}
+
+// One version of a bot for comparing - { input, filename, mimeType } of a file
+// (see readDiagram). A Draw.io file (or its PNG/SVG export) is converted with
+// the given options, a Commbox Scripts export is read as it is. Nodes are
+// keyed by their Commbox id; the ids the converter reserves (the root and the
+// fixed-process nodes) repeat in every script, so those keys carry the index
+// of their script too.
+async function loadBotVersion(version, options = {}) {
+  const content = await readDiagram(version.input, version);
+  const isCommbox = /<Section[\s>]/.test(content);
+  let scripts;
+  let sources = new Map();
+  
+  if (isCommbox) {
+    ({ scripts } = await parseCommboxXML(content));
+  } else {
+    const parsedData = await parseDrawioFile(content);
+    const built = buildScripts(parsedData, options);
+    scripts = built.scripts;
+    sources = new Map(built.idManifest.nodes.map(entry => [entry.nodeId, entry]));
+  }
+  
+  const reservedIds = new Set([ROOT_NODE_ID, ...Object.values(FIXED_NODE_IDS)]);
+  const nodes = new Map();
+  scripts.forEach((script, scriptIndex) => {
+    const scriptNodes = script.scriptArray.slice(1);
+    const texts = new Map(scriptNodes.map(node => [node.id, node.text]));
+    scriptNodes.forEach(node => {
+      const source = sources.get(node.id);
+      nodes.set(reservedIds.has(node.id) ? `${scriptIndex}:${node.id}` : node.id, {
+        nodeId: node.id,
+        cellId: source ? source.cellId : null,
+        pageName: source ? source.pageName : null,
+        script: script.name || null,
+        text: node.text || '',
+        bodyHtml: node.bodyHtml || '',
+        parent: node.parent,
+        parentText: texts.get(node.parent) || null,
+        type: node.jumpNode ? 'jump' : detectCommboxNodeType(node),
+        jumpNode: node.jumpNode || null
+      });
+    });
+  });
+  
+  return {
+    kind: isCommbox ? 'commbox' : 'drawio',
+    filename: version.filename || '',
+    scriptsCount: scripts.length,
+    nodes
+  };
+}
+
+// Node-level diff of two bot versions (see loadBotVersion). Nodes are matched by
+// their Commbox id, which the converter derives from the Draw.io page and cell
+// ids, so a node keeps it through edits of its text, type or position. Changed
+// nodes list what changed: reparented, text-changed (text or message),
+// type-changed and jump-changed (the node a jump leads to).
+function diffBotVersions(base, head) {
+  const changes = [];
+  const summary = { added: 0, removed: 0, reparented: 0, textChanged: 0, typeChanged: 0, jumpChanged: 0, unchanged: 0 };
+  const side = node => node && {
+    text: node.text,
+    bodyHtml: node.bodyHtml,
+    parent: node.parent,
+    parentText: node.parentText,
+    type: node.type,
+    jumpNode: node.jumpNode
+  };
+  const addEntry = (change, kinds, baseNode, headNode) => {
+    const node = headNode || baseNode;
+    changes.push({
+      change,
+      kinds,
+      nodeId: node.nodeId,
+      cellId: (headNode && headNode.cellId) || (baseNode && baseNode.cellId) || null,
+      pageName: (headNode && headNode.pageName) || (baseNode && baseNode.pageName) || null,
+      script: node.script,
+      base: side(baseNode),
+      head: side(headNode)
+    });
+  };
+  
+  head.nodes.forEach((headNode, key) => {
+    const baseNode = base.nodes.get(key);
+    if (!baseNode) {
+      summary.added++;
+      addEntry('added', [], null, headNode);
+      return;
+    }
+    
+    const kinds = [];
+    if (baseNode.parent !== headNode.parent) {
+      kinds.push('reparented');
+      summary.reparented++;
+    }
+    if (baseNode.text !== headNode.text || baseNode.bodyHtml !== headNode.bodyHtml) {
+      kinds.push('text-changed');
+      summary.textChanged++;
+    }
+    if (baseNode.type !== headNode.type) {
+      kinds.push('type-changed');
+      summary.typeChanged++;
+    }
+    if (baseNode.jumpNode !== headNode.jumpNode) {
+      kinds.push('jump-changed');
+      summary.jumpChanged++;
+    }
+    
+    if (kinds.length === 0) {
+      summary.unchanged++;
+    } else {
+      addEntry('changed', kinds, baseNode, headNode);
+    }
+  });
+  
+  base.nodes.forEach((baseNode, key) => {
+    if (!head.nodes.has(key)) {
+      summary.removed++;
+      addEntry('removed', [], baseNode, null);
+    }
+  });
+  
+  return { changes, summary };
+}
+
+// Update an existing Commbox export with a new conversion of its diagram instead
+// of replacing it. A generated script is matched to the export's SCRIPT named
+// after its page, or else to the one in its position, and keeps that script's
+// stream id, name, brand and header settings; scripts of the export without a
+// page are kept as they are. Nodes are matched by id, then by text under the
+// same parent, and keep the id and every property of the export that doesn't
+// come from the diagram (see mergeScriptArray). Returns built (see
+// buildScripts) with the merged scripts, the ids of the manifest and the jumps
+// changed to the kept ones, and merge - the counts of kept, added and removed
+// nodes and the conflicts found on the way.
+function mergeWithExport(built, existing) {
+  const context = {
+    idMap: new Map(),
+    sources: new Map(built.idManifest.nodes.map(entry => [entry.nodeId, entry])),
+    conflicts: [],
+    summary: { kept: 0, added: 0, removed: 0 }
+  };
+  const unmatched = [...existing.scripts];
+  
+  const scripts = built.scripts.map((script, index) => {
+    const target = (script.name && unmatched.find(item => item.name === script.name || item.name.endsWith(` - ${script.name}`))) ||
+      unmatched.find(item => item === existing.scripts[index]);
+    if (!target) {
+      context.summary.added += script.scriptArray.length - 1;
+      return script;
+    }
+    
+    unmatched.splice(unmatched.indexOf(target), 1);
+    return {
+      name: script.name,
+      scriptArray: mergeScriptArray(script.scriptArray, target.scriptArray, context),
+      existing: { name: target.name, streamId: target.streamId, brand: target.brand }
+    };
+  });
+  
+  unmatched.forEach(script => {
+    context.conflicts.push({
+      code: 'merge-unmatched-script',
+      nodeId: null,
+      cellId: null,
+      label: script.name,
+      message: `לסקריפט ${script.name} אין עמוד מתאים בדיאגרמה - הוא נשאר כמו שהוא`
+    });
+    scripts.push({
+      name: script.name,
+      scriptArray: script.scriptArray,
+      existing: { name: script.name, streamId: script.streamId, brand: script.brand }
+    });
+  });
+  
+  const keptId = id => context.idMap.get(id) || id;
+  return {
+    ...built,
+    scripts,
+    idManifest: {
+      ...built.idManifest,
+      nodes: built.idManifest.nodes.map(entry => ({ ...entry, nodeId: keptId(entry.nodeId) }))
+    },
+    jumps: built.jumps.map(jump => ({ ...jump, jumpNodeId: keptId(jump.jumpNodeId), targetNodeId: keptId(jump.targetNodeId) })),
+    merge: { ...context.summary, conflicts: context.conflicts }
+  };
+}
+
+// Merge a generated script array into the script array of the export (see
+// mergeWithExport). The properties in MERGE_DIAGRAM_KEYS come from the diagram;
+// those in MERGE_SETTING_KEYS keep the export's value when both have one, which
+// is reported when they differ. The ids of matched nodes are replaced in every
+// reference, and condition fields follow the kept input fields.
+function mergeScriptArray(generated, current, context) {
+  const { idMap, sources, conflicts, summary } = context;
+  const [generatedHeader, ...generatedNodes] = generated;
+  const [currentHeader = {}, ...currentNodes] = current;
+  const currentById = new Map(currentNodes.map(node => [node.id, node]));
+  // Generated node id to its node in the export
+  const matched = new Map();
+  const taken = new Set();
+  
+  generatedNodes.forEach(node => {
+    if (currentById.has(node.id)) {
+      matched.set(node.id, currentById.get(node.id));
+      taken.add(node.id);
+    }
+  });
+  // Parents come before their children, so a parent is already matched here
+  generatedNodes.forEach(node => {
+    if (matched.has(node.id)) return;
+    const parentId = matched.has(node.parent) ? matched.get(node.parent).id : node.parent;
+    const candidate = currentNodes.find(item => !taken.has(item.id) && item.parent === parentId && item.text === node.text);
+    if (candidate) {
+      matched.set(node.id, candidate);
+      taken.add(candidate.id);
+      idMap.set(node.id, candidate.id);
+    }
+  });
+  
+  const keptId = id => (matched.has(id) ? matched.get(id).id : id);
+  const addConflict = (code, node, message) => {
+    const source = sources.get(node.id);
+    conflicts.push({ code, nodeId: keptId(node.id), cellId: source ? source.cellId : null, label: node.text || '', message });
+  };
+  const isSet = value => value !== undefined && value !== null && !(typeof value === 'object' && Object.keys(value).length === 0);
+  // Generated input field name to the kept one
+  const fieldNames = new Map();
+  
+  const nodes = generatedNodes.map(node => {
+    const current = matched.get(node.id);
+    if (!current) {
+      summary.added++;
+      return remapNodeIds(node, keptId);
+    }
+    
+    summary.kept++;
+    const merged = { ...current };
+    MERGE_DIAGRAM_KEYS.forEach(key => {
+      if (node[key] === undefined) {
+        delete merged[key];
+      } else {
+        merged[key] = node[key];
+      }
+    });
+    MERGE_SETTING_KEYS.forEach(key => {
+      if (!isSet(node[key])) {
+        // d_e is what makes a node an input node - it goes with the type
+        if (key === 'd_e' && isSet(current.d_e)) {
+          delete merged.d_e;
+          addConflict('merge-dropped-input', node, 'הנוד כבר אינו נוד קלט - הגדרות השדה שלו ב-Commbox הוסרו');
+        }
+        return;
+      }
+      if (!isSet(current[key])) {
+        merged[key] = node[key];
+      } else if (JSON.stringify(current[key]) !== JSON.stringify(node[key])) {
+        addConflict('merge-kept-setting', node, `הערך של ${key} ב-Commbox שונה מהדיאגרמה - נשמר הערך הקיים`);
+      }
+    });
+    if (isSet(node.d_e) && isSet(merged.d_e) && node.d_e[0].uniqueName !== merged.d_e[0].uniqueName) {
+      fieldNames.set(node.d_e[0].uniqueName, merged.d_e[0].uniqueName);
+    }
+    return remapNodeIds({ ...merged, id: node.id }, keptId);
+  });
+  
+  nodes.forEach(node => {
+    (node.conditions || []).forEach(condition => {
+      condition.field = fieldNames.get(condition.field) || condition.field;
+    });
+  });
+  
+  currentNodes.filter(node => !taken.has(node.id)).forEach(node => {
+    summary.removed++;
+    const settings = Object.keys(node).filter(key =>
+      !MERGE_NODE_BASE_KEYS.includes(key) && !MERGE_DIAGRAM_KEYS.includes(key) && !MERGE_SETTING_KEYS.includes(key)
+    );
+    if (settings.length > 0) {
+      conflicts.push({
+        code: 'merge-removed-settings',
+        nodeId: node.id,
+        cellId: null,
+        label: node.text || '',
+        message: `הנוד הוסר מהדיאגרמה - ההגדרות שלו ב-Commbox (${settings.join(', ')}) אבדו`
+      });
+    }
+  });
+  
+  // The header of the export is kept, and script settings of this conversion
+  // that differ from it are reported; node settings chosen for it win
+  const header = { ...generatedHeader, ...currentHeader };
+  Object.keys(SCRIPT_SETTINGS_DEFAULTS).forEach(key => {
+    if (!(key in generatedHeader) || !(key in currentHeader) || SCRIPT_NODE_SETTINGS.includes(key)) return;
+    const [value, kept] = [generatedHeader[key], currentHeader[key]];
+    if (value !== '' && JSON.stringify(value) !== JSON.stringify(kept)) {
+      conflicts.push({
+        code: 'merge-kept-setting',
+        nodeId: null,
+        cellId: null,
+        label: key,
+        message: `${key}: הערך ב-Commbox (${kept}) שונה מהגדרות הסקריפט (${value}) - נשמר הערך הקיים`
+      });
+    }
+  });
+  SCRIPT_NODE_SETTINGS.forEach(key => {
+    if (generatedHeader[key]) {
+      header[key] = keptId(generatedHeader[key]);
+    } else if (header[key] && !nodes.some(node => node.id === header[key])) {
+      conflicts.push({
+        code: 'merge-cleared-setting',
+        nodeId: header[key],
+        cellId: null,
+        label: key,
+        message: `${key}: הנוד ${header[key]} כבר לא בסקריפט - ההגדרה נוקתה`
+      });
+      header[key] = '';
+    }
+  });
+  
+  return [header, ...nodes];
+}
+
+// Copy of a Commbox node with every node id it holds passed through keptId
+function remapNodeIds(node, keptId) {
+  const result = { ...node, id: keptId(node.id), parent: keptId(node.parent) };
+  if (node.jumpNode) {
+    result.jumpNode = keptId(node.jumpNode);
+  }
+  if (node.defaultNodeId) {
+    result.defaultNodeId = keptId(node.defaultNodeId);
+  }
+  if (node.conditions) {
+    result.conditions = node.conditions.map(condition => ({ ...condition, nodeId: keptId(condition.nodeId) }));
+  }
+  return result;
+}
+
+// Programmatic API - what the server's endpoints do, for Node and the browser.
+// Inputs are file contents: a string, or the bytes of a .drawio, .xml,
+// .drawio.png or .drawio.svg file, a Mermaid flowchart or a YAML/JSON bot
+// definition (see readDiagram). Options are the form fields of the endpoints
+// (see getConversionOptions), plus:
+//   filename, mimeType - the input's, to tell PNG and SVG exports and text sources apart
+//   format - drawio, mermaid, yaml or json, when the file name does not tell it
+//   loadRuleSet - name => rule set JSON, for rule sets other than default
+//   existingExport - a Commbox export for convert to update (see mergeWithExport)
+
+// Convert a diagram to Commbox - the XML with its structured scripts, the
+// conversion report, and the intermediate files and views of the conversion
+async function convert(input, options = {}) {
+  const conversionOptions = getConversionOptions(options, options.loadRuleSet);
+  const parsedData = await parseDrawioFile(await readDiagram(input, options));
+  const pages = selectPages(parsedData.pages, conversionOptions.pages);
+  
+  let built = buildScripts({ pages }, conversionOptions);
+  if (options.existingExport) {
+    built = mergeWithExport(built, await parseCommboxXML(toText(options.existingExport)));
+  }
+  return {
+    xml: renderCommboxXML(built.scripts, conversionOptions.scriptSettings),
+    scripts: built.scripts,
+    report: buildConversionReport(pages, built, conversionOptions.ruleSet),
+    warnings: built.warnings,
+    jumps: built.jumps,
+    idManifest: built.idManifest,
+    // Embedded attachments - { name, mimeType, data } for the bundle (see createBundle)
+    files: built.files,
+    merge: built.merge || null,
+    mxGraphModelXml: buildMxGraphModelFile(pages),
+    stats: buildStats(pages),
+    nodeTypes: describeNodeTypes(pages, conversionOptions.ruleSet),
+    diagram: buildDiagramView(pages),
+    pageMode: conversionOptions.pageMode,
+    ruleSet: conversionOptions.ruleSet.name
+  };
+}
+
+// Check a diagram before converting it - { summary, findings, stats }
+async function validate(input, options = {}) {
+  const conversionOptions = getConversionOptions(options, options.loadRuleSet);
+  const parsedData = await parseDrawioFile(await readDiagram(input, options));
+  const pages = selectPages(parsedData.pages, conversionOptions.pages);
+  return { ...validatePages(pages, conversionOptions.ruleSet), stats: buildStats(pages) };
+}
+
+// The pages of a diagram with the id and label of their nodes, to pick the
+// pages to convert and the script's end and delay-jump nodes from
+async function listPages(input, options = {}) {
+  const parsedData = await parseDrawioFile(await readDiagram(input, options));
+  const nodes = new Map(parsedData.pages.map(page => [page.id, page.nodes.map(node => ({
+    id: node.id,
+    label: getLabelText(node.value)
+  }))]));
+  return buildStats(parsedData.pages).pages.map(page => ({ ...page, nodes: nodes.get(page.id) }));
+}
+
+// Reverse conversion - a Commbox Scripts export to a Draw.io diagram
+async function importCommbox(input) {
+  const { drawio, pages } = generateDrawioFile(await parseCommboxXML(toText(input)));
+  return {
+    drawio,
+    stats: {
+      scriptsCount: pages.length,
+      nodesCount: pages.reduce((sum, page) => sum + page.nodesCount, 0),
+      connectionsCount: pages.reduce((sum, page) => sum + page.connectionsCount, 0),
+      pages
+    }
+  };
+}
+
+// Node-level diff of two versions of a bot - each { input, filename } of a
+// Draw.io file or a Commbox export (see loadBotVersion)
+async function compareVersions(baseVersion, headVersion, options = {}) {
+  const conversionOptions = getConversionOptions(options, options.loadRuleSet);
+  const base = await loadBotVersion(baseVersion, conversionOptions);
+  const head = await loadBotVersion(headVersion, conversionOptions);
+  const describe = version => ({
+    kind: version.kind,
+    filename: version.filename,
+    scriptsCount: version.scriptsCount,
+    nodesCount: version.nodes.size
+  });
+  return { base: describe(base), head: describe(head), ...diffBotVersions(base, head) };
+}
+
+// Zip of a converted XML with its embedded attachments (the files of convert)
+function createBundle(xml, filename, files) {
+  return createZipArchive([
+    { name: filename, data: xml },
+    ...files.map(file => ({ name: `${ATTACHMENTS_DIR}/${file.name}`, data: file.data }))
+  ]);
+}
+
+module.exports = {
+  // Programmatic API
+  convert,
+  validate,
+  listPages,
+  importCommbox,
+  compareVersions,
+  createBundle,
+  // Conversion steps
+  readDiagram,
+  readFlowSource,
+  parseMermaid,
+  parseBotDefinition,
+  renderFlowSource,
+  decodeDrawio,
+  parseDrawioFile,
+  selectPages,
+  extractNodes,
+  extractConnections,
+  detectNodeType,
+  buildHierarchy,
+  convertToCommboxNode,
+  buildScripts,
+  renderCommboxXML,
+  generateCommboxXML,
+  parseCommboxXML,
+  generateDrawioFile,
+  mergeWithExport,
+  validatePages,
+  buildStats,
+  buildConversionReport,
+  buildMxGraphModelFile,
+  getConversionOptions,
+  compileRuleSet,
+  bytesToBase64,
+  DEFAULT_RULES,
+  SCRIPT_SETTINGS_DEFAULTS,
+  GLOBAL_HANDLERS_DEFAULTS,
+  FIXED_NODE_IDS,
+  SOURCE_FORMATS,
+  ATTACHMENTS_DIR
+};
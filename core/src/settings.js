@@ -0,0 +1,42 @@
+// Conversion settings and their defaults - a module of its own, so the UI can
+// use them without loading the conversion engine (commbox-converter/src/settings)
+const FIXED_PROCESSES_TEXT = 'תהליכים קבועים';
+// Ids of the built-in "תהליכים קבועים" block - reserved, never handed out to diagram nodes
+const FIXED_NODE_IDS = {
+  processes: 'n_fixed',
+  transfer: 'n_fixed_transfer',
+  error: 'n_fixed_error',
+  unknown: 'n_fixed_unknown'
+};
+// Script header settings and their defaults. endNodeId and genericDelayJumpNode
+// take a Draw.io cell id (or a Commbox node id) and are resolved per script.
+const SCRIPT_SETTINGS_DEFAULTS = {
+  name: '',
+  brand: '802',
+  seedId: 44,
+  endNodeId: '',
+  genericDelayJumpTime: '',
+  genericDelayJumpNode: '',
+  genericRedisplayTime: '',
+  genericRedisplayMessage: '',
+  dataContextExpirationTime: '',
+  allowUsingAI: false,
+  assistantId: ''
+};
+// Global handlers of the fixed-process block. The built-in transfer, error and
+// unknown handlers are added for the kinds the diagram has no node of.
+const GLOBAL_HANDLERS_DEFAULTS = {
+  text: FIXED_PROCESSES_TEXT,
+  fromDiagram: true,
+  transfer: { text: 'מעבר לנציג', message: '' },
+  error: { text: 'Error', message: '' },
+  unknown: { text: 'לא ידוע', message: '' },
+  extra: []
+};
+
+module.exports = {
+  FIXED_PROCESSES_TEXT,
+  FIXED_NODE_IDS,
+  SCRIPT_SETTINGS_DEFAULTS,
+  GLOBAL_HANDLERS_DEFAULTS
+};
@@ -0,0 +1,67 @@
+// XML parsing for browsers - DOMParser, with the objects xml2js makes in Node
+// (see xml.js): attributes under $, text under _, child elements in arrays. An
+// element with only text is its text; whitespace between elements is dropped.
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const CDATA_SECTION_NODE = 4;
+
+// Object of an element
+function elementToObject(element) {
+  const result = {};
+  let text = '';
+  if (element.attributes.length > 0) {
+    result.$ = {};
+    Array.from(element.attributes).forEach(attribute => {
+      result.$[attribute.name] = attribute.value;
+    });
+  }
+  Array.from(element.childNodes).forEach(child => {
+    if (child.nodeType === ELEMENT_NODE) {
+      (result[child.nodeName] = result[child.nodeName] || []).push(elementToObject(child));
+    } else if (child.nodeType === TEXT_NODE || child.nodeType === CDATA_SECTION_NODE) {
+      text += child.nodeValue;
+    }
+  });
+  
+  const hasContent = Object.keys(result).length > 0;
+  if (!text.trim() || !hasContent) {
+    return hasContent ? result : text;
+  }
+  result._ = text;
+  return result;
+}
+
+// Object of an XML document
+async function parseXml(xml) {
+  const document = new DOMParser().parseFromString(xml, 'application/xml');
+  const error = document.getElementsByTagName('parsererror')[0];
+  if (error) {
+    throw new Error(`Invalid XML: ${error.textContent.trim().split('\n')[0]}`);
+  }
+  const root = document.documentElement;
+  return { [root.nodeName]: elementToObject(root) };
+}
+
+const escapeText = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const escapeAttribute = value => escapeText(value).replace(/"/g, '&quot;').replace(/\n/g, '&#10;');
+
+// XML of an element's object
+function objectToXml(name, value) {
+  if (typeof value !== 'object' || value === null) {
+    return value === '' || value === undefined || value === null ? `<${name}/>` : `<${name}>${escapeText(value)}</${name}>`;
+  }
+  const attributes = Object.entries(value.$ || {}).map(([key, attribute]) => ` ${key}="${escapeAttribute(attribute)}"`).join('');
+  const children = Object.entries(value)
+    .filter(([key]) => key !== '$' && key !== '_')
+    .flatMap(([key, items]) => (Array.isArray(items) ? items : [items]).map(item => objectToXml(key, item)))
+    .join('');
+  const content = (value._ !== undefined ? escapeText(value._) : '') + children;
+  return content ? `<${name}${attributes}>${content}</${name}>` : `<${name}${attributes}/>`;
+}
+
+// XML of an object, without the XML declaration
+function buildXml(object) {
+  return Object.entries(object).map(([name, value]) => objectToXml(name, value)).join('');
+}
+
+module.exports = { parseXml, buildXml };
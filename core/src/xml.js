@@ -0,0 +1,15 @@
+// XML parsing for Node - xml2js objects: attributes under $, text under _,
+// child elements in arrays (see xml.browser.js for the browser's)
+const xml2js = require('xml2js');
+
+// Object of an XML document
+function parseXml(xml) {
+  return new xml2js.Parser().parseStringPromise(xml);
+}
+
+// XML of an object, without the XML declaration
+function buildXml(object) {
+  return new xml2js.Builder({ headless: true }).buildObject(object);
+}
+
+module.exports = { parseXml, buildXml };
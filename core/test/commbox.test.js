@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { convert, importCommbox, compareVersions, mergeWithExport, readDiagram, parseDrawioFile, buildScripts, parseCommboxXML } = require('../src');
+
+// A Mermaid flowchart of a small support bot - replace swaps parts of it
+function flow(replace = {}) {
+  let text = [
+    'flowchart TD',
+    '  start([התחלה]) --> menu[איך אפשר לעזור?]',
+    '  menu -->|מכירות| sales[מחלקת מכירות]',
+    '  menu -->|נציג| agent[מעבר לנציג]',
+    '  sales --> done((סיום))'
+  ].join('\n');
+  Object.entries(replace).forEach(([from, to]) => {
+    text = text.replace(from, to);
+  });
+  return text;
+}
+
+const nodesOf = script => script.scriptArray.slice(1);
+const textsOf = script => nodesOf(script).map(node => node.text);
+
+describe('importCommbox', () => {
+  it('draws an export as a Draw.io file that converts back to the same flow', async () => {
+    const exported = await convert(flow(), { filename: 'bot.mmd' });
+    const imported = await importCommbox(exported.xml);
+    const converted = await convert(imported.drawio, { filename: 'bot.drawio' });
+    
+    assert.match(imported.drawio, /^<mxfile/);
+    assert.equal(imported.stats.scriptsCount, 1);
+    assert.deepEqual(textsOf(converted.scripts[0]).sort(), textsOf(exported.scripts[0]).sort());
+  });
+  
+  it('rejects files that are not a Commbox export with status 400', async () => {
+    await assert.rejects(importCommbox('not xml'), { status: 400 });
+    await assert.rejects(importCommbox('<Section Name="Scripts"/>'), { status: 400, message: /no SCRIPT/ });
+    await assert.rejects(importCommbox('<Section><SCRIPT Value="{"/></Section>'), { status: 400, message: /JSON/ });
+  });
+});
+
+describe('mergeWithExport', () => {
+  // The scripts of a flow, merged into an export
+  async function merge(text, exportXml) {
+    const { pages } = await parseDrawioFile(await readDiagram(text, { filename: 'bot.mmd' }));
+    return mergeWithExport(buildScripts({ pages }, {}), await parseCommboxXML(exportXml));
+  }
+  
+  it('keeps the nodes of the export with the settings set in Commbox', async () => {
+    const exported = await convert(flow(), { filename: 'bot.mmd' });
+    const sales = exported.scripts[0].scriptArray.find(node => node.text === 'מכירות');
+    const edited = exported.xml.replace(`&quot;id&quot;:&quot;${sales.id}&quot;`, `&quot;id&quot;:&quot;${sales.id}&quot;,&quot;integration&quot;:&quot;crm&quot;`);
+    
+    const merged = await merge(flow({ 'מחלקת מכירות': 'צוות המכירות' }), edited);
+    const mergedSales = merged.scripts[0].scriptArray.find(node => node.id === sales.id);
+    
+    assert.equal(mergedSales.integration, 'crm');
+    assert.equal(mergedSales.bodyHtml, 'צוות המכירות');
+    assert.equal(merged.merge.added, 0);
+    assert.equal(merged.merge.removed, 0);
+  });
+  
+  it('counts the nodes the diagram added and removed', async () => {
+    const exported = await convert(flow(), { filename: 'bot.mmd' });
+    const merged = await merge(flow({ '  sales --> done((סיום))': '  sales --> survey[סקר]' }), exported.xml);
+    
+    assert.equal(merged.merge.added, 1);
+    assert.equal(merged.merge.removed, 1);
+  });
+  
+  it('keeps the header of the export and reports script settings that differ from it', async () => {
+    const exported = await convert(flow(), { filename: 'bot.mmd', scriptSettings: { seedId: 12 } });
+    const merged = await convert(flow(), { filename: 'bot.mmd', scriptSettings: { seedId: 50 }, existingExport: exported.xml });
+    
+    assert.equal(merged.scripts[0].scriptArray[0].seedId, 12);
+    assert.deepEqual(merged.merge.conflicts.map(conflict => [conflict.code, conflict.label]), [['merge-kept-setting', 'seedId']]);
+  });
+});
+
+describe('compareVersions', () => {
+  const version = (text, filename = 'bot.mmd') => ({ input: text, filename });
+  
+  it('finds no changes between two copies of a bot', async () => {
+    const diff = await compareVersions(version(flow()), version(flow()));
+    
+    assert.deepEqual(diff.changes, []);
+  });
+  
+  it('reports changed, added and removed nodes', async () => {
+    const head = flow({ 'מחלקת מכירות': 'צוות המכירות', '  sales --> done((סיום))': '  sales --> survey[סקר]' });
+    const diff = await compareVersions(version(flow()), version(head));
+    const changes = diff.changes.map(change => [change.change, (change.head || change.base).text]);
+    
+    assert.ok(changes.some(([change, text]) => change === 'changed' && text === 'מכירות'));
+    assert.ok(changes.some(([change, text]) => change === 'added' && text === 'סקר'));
+    assert.ok(changes.some(([change, text]) => change === 'removed' && text === 'סיום'));
+  });
+  
+  it('compares a diagram with a Commbox export of it', async () => {
+    const exported = await convert(flow(), { filename: 'bot.mmd' });
+    const diff = await compareVersions(version(exported.xml, 'bot.xml'), version(flow()));
+    
+    assert.equal(diff.base.kind, 'commbox');
+    assert.equal(diff.head.kind, 'drawio');
+    assert.deepEqual(diff.changes, []);
+  });
+});
@@ -0,0 +1,184 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { convert, validate, listPages, compileRuleSet, FIXED_NODE_IDS } = require('../src');
+
+// A Draw.io file of cells - [id, value, style] vertices and [id, value, source, target] edges
+function drawio(vertices, edges = []) {
+  const cells = vertices.map(([id, value, style = 'rounded=1;'], i) =>
+    `<mxCell id="${id}" value="${value}" style="${style}" vertex="1" parent="1"><mxGeometry x="10" y="${i * 100}" width="80" height="40" as="geometry"/></mxCell>`
+  ).concat(edges.map(([id, value, source, target]) =>
+    `<mxCell id="${id}" value="${value}" edge="1" source="${source}" target="${target}" parent="1"><mxGeometry relative="1" as="geometry"/></mxCell>`
+  ));
+  return `<mxfile><diagram id="p1" name="Main"><mxGraphModel><root><mxCell id="0"/><mxCell id="1" parent="0"/>${cells.join('')}</root></mxGraphModel></diagram></mxfile>`;
+}
+
+const MENU = drawio(
+  [['start', 'התחלה', 'ellipse;'], ['menu', 'תפריט ראשי'], ['agent', 'מעבר לנציג'], ['hi', 'שלום'], ['bye', 'סיום', 'ellipse;']],
+  [['e1', '', 'start', 'menu'], ['e2', 'נציג', 'menu', 'agent'], ['e3', 'מידע', 'menu', 'hi'], ['e4', '', 'hi', 'bye']]
+);
+
+// A 1x1 PNG
+const PIXEL = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAADElEQVR4nGP4z8AAAAMBAQDJ/pLvAAAAAElFTkSuQmCC';
+
+const nodesOf = result => result.scripts[0].scriptArray.slice(1);
+const byText = (result, text) => nodesOf(result).find(node => node.text === text);
+
+describe('convert', () => {
+  it('builds a script with the header, the root and the fixed-process block', async () => {
+    const result = await convert(MENU, { filename: 'menu.drawio' });
+    const [header, root] = result.scripts[0].scriptArray;
+    
+    assert.equal(result.scripts.length, 1);
+    assert.equal(header.seedId, 44);
+    assert.equal(root.id, 'node_0');
+    assert.equal(root.parent, '#');
+    assert.ok(nodesOf(result).some(node => node.id === FIXED_NODE_IDS.processes && node.parent === 'node_0'));
+    assert.match(result.xml, /<Section Name="Scripts"/);
+    assert.deepEqual(result.warnings, []);
+  });
+  
+  it('turns edge labels into buttons under the menu', async () => {
+    const result = await convert(MENU, { filename: 'menu.drawio' });
+    const menu = byText(result, 'תפריט ראשי');
+    
+    assert.deepEqual(nodesOf(result).filter(node => node.parent === menu.id).map(node => node.text).sort(), ['מידע', 'נציג']);
+  });
+  
+  it('leaves a transfer node of the flow in place and copies it, with its attachments, into the fixed-process block', async () => {
+    const withImage = MENU.replace('value="מעבר לנציג" style="rounded=1;"', `value="מעבר לנציג" style="rounded=1;image=data:image/png,${PIXEL};"`);
+    const result = await convert(withImage, { filename: 'menu.drawio' });
+    const menu = byText(result, 'תפריט ראשי');
+    const agent = byText(result, 'נציג');
+    const handler = nodesOf(result).find(node => node.id === FIXED_NODE_IDS.transfer);
+    
+    assert.equal(agent.parent, menu.id);
+    assert.equal(agent.step, 'agent_node');
+    assert.equal(handler.parent, FIXED_NODE_IDS.processes);
+    assert.equal(handler.text, 'מעבר לנציג');
+    assert.equal(Object.keys(agent.attachments).length, 1);
+    assert.deepEqual(handler.attachments, agent.attachments);
+    assert.equal(result.files.length, 1);
+    assert.equal(result.jumps.length, 0);
+  });
+  
+  it('keeps a single-word rhombus a menu unless an edge has an operator', async () => {
+    const menu = drawio(
+      [['d', 'Menu', 'rhombus;'], ['a', 'Sales'], ['b', 'Support']],
+      [['e1', 'sales', 'd', 'a'], ['e2', 'support', 'd', 'b']]
+    );
+    const condition = drawio(
+      [['d', 'status', 'rhombus;'], ['a', 'VIP'], ['b', 'Regular']],
+      [['e1', '== VIP', 'd', 'a'], ['e2', 'else', 'd', 'b']]
+    );
+    
+    const menuNode = byText(await convert(menu, { filename: 'menu.drawio' }), 'Menu');
+    const conditionNode = byText(await convert(condition, { filename: 'condition.drawio' }), 'status');
+    
+    assert.equal(menuNode.step, undefined);
+    assert.equal(conditionNode.step, 'condition_node');
+    assert.deepEqual(conditionNode.conditions.map(({ field, operator, value }) => ({ field, operator, value })), [
+      { field: 'status', operator: '==', value: 'VIP' }
+    ]);
+  });
+  
+  it('keeps a rhombus a condition when its input reference holds a keyword', async () => {
+    const phone = drawio(
+      [['start', 'התחלה', 'ellipse;'], ['in', 'קלט מספר טלפון'], ['d', '{{קלט מספר טלפון}}', 'rhombus;'], ['a', 'VIP'], ['b', 'Regular']],
+      [['e1', '', 'start', 'in'], ['e2', '', 'in', 'd'], ['e3', '== &quot;050&quot;', 'd', 'a'], ['e4', 'else', 'd', 'b']]
+    );
+    const result = await convert(phone, { filename: 'phone.drawio' });
+    const input = byText(result, 'קלט מספר טלפון');
+    const condition = byText(result, '{{קלט מספר טלפון}}');
+    
+    assert.equal(condition.step, 'condition_node');
+    assert.equal(condition.d_e, undefined);
+    assert.deepEqual(condition.conditions.map(({ field, value }) => ({ field, value })), [{ field: input.d_e[0].uniqueName, value: '050' }]);
+  });
+  
+  it('leaves out the target of a branch that is not yes or no', async () => {
+    const decision = drawio(
+      [['start', 'התחלה', 'ellipse;'], ['d', 'status == &quot;VIP&quot;', 'rhombus;'], ['a', 'vip'], ['b', 'vip msg'], ['c', 'regular']],
+      [['e1', '', 'start', 'd'], ['e2', 'yes', 'd', 'a'], ['e3', 'maybe', 'd', 'b'], ['e4', 'no', 'd', 'c']]
+    );
+    const result = await convert(decision, { filename: 'decision.drawio' });
+    
+    assert.deepEqual(result.warnings.map(warning => [warning.code, warning.cellId]), [['invalid-branch', 'e3']]);
+    assert.equal(byText(result, 'vip msg'), undefined);
+  });
+  
+  it('turns an edge back into the flow into a loop jump', async () => {
+    const loop = drawio(
+      [['start', 'התחלה', 'ellipse;'], ['menu', 'תפריט', 'rhombus;'], ['back', 'חזרה']],
+      [['e1', '', 'start', 'menu'], ['e2', 'עוד', 'menu', 'back'], ['e3', 'לתפריט', 'back', 'menu']]
+    );
+    const result = await convert(loop, { filename: 'loop.drawio' });
+    
+    assert.deepEqual(result.jumps.map(jump => [jump.edgeId, jump.kind]), [['e3', 'loop']]);
+    assert.equal(byText(result, 'לתפריט').jumpNode, byText(result, 'תפריט').id);
+  });
+  
+  it('applies the script settings, with an empty seed left to the default', async () => {
+    const result = await convert(MENU, {
+      filename: 'menu.drawio',
+      scriptSettings: JSON.stringify({ name: 'Support', seedId: '', genericRedisplayTime: '30' })
+    });
+    const [header] = result.scripts[0].scriptArray;
+    
+    assert.equal(header.seedId, 44);
+    assert.equal(header.genericRedisplayTime, '30');
+    assert.match(result.xml, /Name="Support"/);
+  });
+  
+  it('rejects options that can\'t be used with status 400', async () => {
+    await assert.rejects(convert(MENU, { filename: 'menu.drawio', pageMode: 'pages' }), { status: 400 });
+    await assert.rejects(convert(MENU, { filename: 'menu.drawio', scriptSettings: '{"color":"red"}' }), { status: 400 });
+  });
+  
+  it('rejects empty and undecodable diagrams with status 400', async () => {
+    await assert.rejects(convert('<mxfile><diagram id="p1"></diagram></mxfile>', { filename: 'empty.drawio' }), { status: 400, message: /No diagram data/ });
+    await assert.rejects(convert('<mxfile><diagram id="p1">not compressed</diagram></mxfile>', { filename: 'broken.drawio' }), { status: 400, message: /decompress/ });
+  });
+});
+
+describe('validate', () => {
+  it('passes a diagram without problems', async () => {
+    const result = await validate(MENU, { filename: 'menu.drawio' });
+    
+    assert.equal(result.valid, true);
+    assert.equal(result.summary.errors, 0);
+    assert.equal(result.stats.nodesCount, 5);
+  });
+  
+  it('reports dangling edges as errors and dead ends as warnings', async () => {
+    const broken = drawio(
+      [['start', 'התחלה', 'ellipse;'], ['hi', 'שלום']],
+      [['e1', '', 'start', 'hi'], ['e2', 'לשום מקום', 'hi', 'missing']]
+    );
+    const result = await validate(broken, { filename: 'broken.drawio' });
+    const codes = result.findings.map(finding => `${finding.severity}:${finding.code}:${finding.cellId}`);
+    
+    assert.equal(result.valid, false);
+    assert.ok(codes.includes('error:dangling-edge:e2'));
+    assert.ok(codes.includes('warning:dead-end:hi'));
+  });
+});
+
+describe('listPages', () => {
+  it('lists the pages with their nodes', async () => {
+    const [page] = await listPages(MENU, { filename: 'menu.drawio' });
+    
+    assert.equal(page.id, 'p1');
+    assert.equal(page.name, 'Main');
+    assert.deepEqual(page.nodes.map(node => node.id), ['start', 'menu', 'agent', 'hi', 'bye']);
+  });
+});
+
+describe('compileRuleSet', () => {
+  it('gives the same answer on every test of a regex with the g flag', () => {
+    const { rules: [rule] } = compileRuleSet({ rules: [{ id: 'agent', type: 'transfer', match: { regex: '/agent/g' } }] });
+    
+    assert.equal(rule.regex.flags, 'iu');
+    assert.equal(rule.regex.test('Agent'), true);
+    assert.equal(rule.regex.test('Agent'), true);
+  });
+});
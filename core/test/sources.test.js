@@ -0,0 +1,123 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMermaid, parseBotDefinition, readDiagram, convert } = require('../src');
+
+const edgesOf = page => page.edges.map(edge => [edge.source, edge.target, edge.label]);
+
+describe('parseMermaid', () => {
+  it('reads the nodes, shapes and links of a flowchart', () => {
+    const { pages: [page] } = parseMermaid([
+      'flowchart LR',
+      '  start([Start]) --> menu{Menu}',
+      '  menu -->|Sales| sales[Sales team]',
+      '  menu -- Support --> help("Help desk")',
+      '  sales & help --> done((Bye))'
+    ].join('\n'));
+    
+    assert.equal(page.direction, 'LR');
+    assert.deepEqual(page.nodes.map(node => [node.id, node.label]), [
+      ['start', 'Start'], ['menu', 'Menu'], ['sales', 'Sales team'], ['help', 'Help desk'], ['done', 'Bye']
+    ]);
+    assert.match(page.nodes[1].style, /^rhombus;/);
+    assert.deepEqual(edgesOf(page), [
+      ['start', 'menu', ''], ['menu', 'sales', 'Sales'], ['menu', 'help', 'Support'], ['sales', 'done', ''], ['help', 'done', '']
+    ]);
+  });
+  
+  it('turns subgraphs into containers and leaves styling statements out', () => {
+    const { pages: [page] } = parseMermaid([
+      'graph TD',
+      '  %% a comment',
+      '  a[Start] --> b[End]',
+      '  subgraph fixed ["תהליכים קבועים"]',
+      '    err[שגיאה]',
+      '  end',
+      '  classDef big fill:#f00',
+      '  class a big'
+    ].join('\n'));
+    
+    assert.deepEqual(page.nodes.map(node => [node.id, node.container]), [['a', null], ['b', null], ['fixed', null], ['err', 'fixed']]);
+    assert.equal(page.nodes.find(node => node.id === 'fixed').label, 'תהליכים קבועים');
+  });
+  
+  it('rejects other Mermaid diagrams with status 400', () => {
+    assert.throws(() => parseMermaid('sequenceDiagram\n  A->>B: hi'), { status: 400 });
+  });
+});
+
+describe('parseBotDefinition', () => {
+  const YAML = [
+    'nodes:',
+    '  - id: start',
+    '    type: start',
+    '    text: Start',
+    '    next: menu',
+    '  - id: menu',
+    '    text: How can I help?',
+    '    next:',
+    '      - { to: agent, label: Agent }',
+    '      - { to: bye, label: Nothing }',
+    '  - id: agent',
+    '    type: transfer',
+    '    text: Transfer',
+    '  - id: bye',
+    '    type: end',
+    '    text: Bye'
+  ].join('\n');
+  
+  it('reads the nodes, types and edges of a YAML definition', () => {
+    const { pages: [page] } = parseBotDefinition(YAML);
+    
+    assert.deepEqual(page.nodes.map(node => [node.id, node.label, node.properties.type]), [
+      ['start', 'Start', 'start'], ['menu', 'How can I help?', undefined], ['agent', 'Transfer', 'transfer'], ['bye', 'Bye', 'end']
+    ]);
+    assert.deepEqual(edgesOf(page), [['start', 'menu', ''], ['menu', 'agent', 'Agent'], ['menu', 'bye', 'Nothing']]);
+  });
+  
+  it('reads the same definition as JSON', () => {
+    const json = JSON.stringify({
+      nodes: [
+        { id: 'start', type: 'start', text: 'Start', next: 'menu' },
+        { id: 'menu', text: 'How can I help?', next: [{ to: 'agent', label: 'Agent' }, { to: 'bye', label: 'Nothing' }] },
+        { id: 'agent', type: 'transfer', text: 'Transfer' },
+        { id: 'bye', type: 'end', text: 'Bye' }
+      ]
+    });
+    
+    assert.deepEqual(parseBotDefinition(json, 'json'), parseBotDefinition(YAML));
+  });
+  
+  it('rejects invalid YAML and links to missing nodes with status 400', () => {
+    assert.throws(() => parseBotDefinition('nodes: [\n'), { status: 400, message: /YAML/ });
+    assert.throws(() => parseBotDefinition('nodes:\n  - id: a\n    next: nope\n'), { status: 400, message: /nope/ });
+  });
+  
+  it('is converted with the types it sets', async () => {
+    const result = await convert(YAML, { filename: 'bot.bot.yaml' });
+    const nodes = result.scripts[0].scriptArray.slice(1);
+    
+    assert.equal(nodes.find(node => node.text === 'Agent').step, 'agent_node');
+    assert.equal(nodes.find(node => node.text === 'Nothing').end, '2');
+  });
+});
+
+describe('readDiagram', () => {
+  it('tells the text formats apart by the file name, the format option or the content', async () => {
+    const mermaid = 'flowchart TD\n  a[Start] --> b[End]';
+    const drawn = [
+      await readDiagram(mermaid, { filename: 'flow.mmd' }),
+      await readDiagram(mermaid, { format: 'mermaid' }),
+      await readDiagram(mermaid, {})
+    ];
+    
+    drawn.forEach(xml => assert.match(xml, /^<mxfile/));
+    assert.equal(drawn[1], drawn[0]);
+    assert.equal(drawn[2], drawn[0]);
+  });
+  
+  it('rejects text of no known format and diagrams that are not XML with status 400', async () => {
+    await assert.rejects(readDiagram('sequenceDiagram\n  A->>B: hi', {}), { status: 400 });
+    await assert.rejects(convert('hello world', {}), { status: 400 });
+    await assert.rejects(convert('hello world', { format: 'drawio' }), { status: 400, message: /not XML/ });
+  });
+});
@@ -1,37 +1,165 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Toaster, toast } from 'react-hot-toast';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useDropzone } from 'react-dropzone';
 import axios from 'axios';
+import ValidationReport from './components/ValidationReport.jsx';
+import ConversionReport from './components/ConversionReport.jsx';
+import ScriptTree from './components/ScriptTree.jsx';
+import BotSimulator from './components/BotSimulator.jsx';
+import DiagramView from './components/DiagramView.jsx';
+import VersionDiff from './components/VersionDiff.jsx';
+import FlowSource, { SOURCE_FORMATS } from './components/FlowSource.jsx';
+import ScriptSettings, { SCRIPT_SETTINGS_DEFAULTS } from './components/ScriptSettings.jsx';
 
 // API configuration
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
 
+// Labels of the jump kinds of the convert response
+const JUMP_KIND_LABELS = {
+  loop: 'לולאה',
+  merge: 'מסלול מתכנס',
+  handler: 'מעבר לתהליך קבוע',
+};
+
+// Save data as a file through a temporary link
+const downloadBlob = (data, filename, type) => {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
 function App() {
   const [currentStep, setCurrentStep] = useState(1);
   const [selectedMethod, setSelectedMethod] = useState(null);
   const [selectedFile, setSelectedFile] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
   const [result, setResult] = useState(null);
+  const [pages, setPages] = useState([]);
+  const [selectedPages, setSelectedPages] = useState([]);
+  const [pageMode, setPageMode] = useState('scripts');
+  const [edgeLabelMode, setEdgeLabelMode] = useState('child');
+  const [buttonDisplayMode, setButtonDisplayMode] = useState('');
+  const [ruleSets, setRuleSets] = useState([]);
+  const [ruleSet, setRuleSet] = useState('default');
+  const [customRules, setCustomRules] = useState('');
+  const [scriptSettings, setScriptSettings] = useState(SCRIPT_SETTINGS_DEFAULTS);
+  const [attachmentBaseUrl, setAttachmentBaseUrl] = useState('');
+  const [existingExport, setExistingExport] = useState(null);
+  const [validation, setValidation] = useState(null);
+  const [isValidating, setIsValidating] = useState(false);
+  const [compareFiles, setCompareFiles] = useState({ base: null, head: null });
+  const [diff, setDiff] = useState(null);
+  const [isComparing, setIsComparing] = useState(false);
+  const [localMode, setLocalMode] = useState(false);
+  const [sourceFormat, setSourceFormat] = useState('drawio');
+  const [sourceText, setSourceText] = useState('');
+
+  // Load the node-type rule sets available on the server
+  useEffect(() => {
+    axios.get(`${API_URL}/api/converter/rule-sets`, { timeout: 30000 })
+      .then((response) => {
+        if (response.data.success) {
+          setRuleSets(response.data.ruleSets);
+        }
+      })
+      .catch((error) => console.error('Rule sets error:', error));
+  }, []);
+
+  // Rule set to send - a rule set name or the custom JSON
+  const getRuleSetValue = () => (ruleSet === 'custom' ? customRules : ruleSet);
+
+  // Send a form to a converter endpoint - in local mode the conversion runs in
+  // the browser and the files never leave the user's machine
+  const postForm = async (endpoint, formData) => {
+    if (localMode) {
+      // The conversion engine is loaded only when local mode is used
+      const { runLocally } = await import('./localApi.js');
+      return runLocally(endpoint, formData);
+    }
+    return axios.post(`${API_URL}/api/converter/${endpoint}`, formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+      timeout: 30000,
+    });
+  };
+
+  // The server's rule sets are read on the server - local mode has the built-in one
+  const availableRuleSets = localMode ? ruleSets.filter((item) => item.name === 'default') : ruleSets;
 
+  const toggleLocalMode = (enabled) => {
+    setLocalMode(enabled);
+    if (enabled && ruleSet !== 'custom') {
+      setRuleSet('default');
+    }
+  };
 
-  // File upload handler
-  const onDrop = useCallback((acceptedFiles) => {
+  // Load the pages of the selected file so the user can choose which to convert
+  const loadPages = async (file) => {
+    setPages([]);
+    setSelectedPages([]);
+    setValidation(null);
+    setScriptSettings((current) => ({ ...current, endNodeId: '', genericDelayJumpNode: '' }));
+    const formData = new FormData();
+    formData.append('drawioFile', file);
+    formData.append('format', sourceFormat);
+
+    try {
+      const response = await postForm('pages', formData);
+
+      if (response.data.success) {
+        setPages(response.data.pages);
+        setSelectedPages(response.data.pages.map((page) => page.id));
+      }
+    } catch (error) {
+      // The conversion itself will report the problem
+      console.error('Pages error:', error);
+    }
+  };
+
+  // File upload handler - not memoised, so the method and the local mode that
+  // loadPages reads are never stale
+  const onDrop = (acceptedFiles) => {
     if (acceptedFiles.length > 0) {
       const file = acceptedFiles[0];
       setSelectedFile(file);
-      setCurrentStep(3);
+      // Imports have no script settings
+      setCurrentStep(selectedMethod === 'import' ? 4 : 3);
       toast.success(`קובץ ${file.name} נבחר בהצלחה`);
+      if (selectedMethod !== 'import') {
+        loadPages(file);
+      }
     }
-  }, []);
+  };
+
+  // Toggle a page in the selection
+  const togglePage = (pageId) => {
+    setSelectedPages((current) =>
+      current.includes(pageId) ? current.filter((id) => id !== pageId) : [...current, pageId]
+    );
+  };
 
+  // Pasted flow text goes on as a file of its format, like an uploaded one
+  const submitSourceText = () => {
+    const format = SOURCE_FORMATS.find((item) => item.value === sourceFormat);
+    onDrop([new File([sourceText], format.pasteName, { type: 'text/plain' })]);
+  };
+
+  const uploadFormat = SOURCE_FORMATS.find((item) => item.value === sourceFormat);
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
-    accept: {
+    // PNG and SVG exports of Draw.io carry the diagram inside the image
+    accept: selectedMethod === 'import' ? {
       'text/xml': ['.xml', '.drawio'],
-    },
+    } : uploadFormat.accept,
     maxFiles: 1,
-    noClick: selectedMethod !== 'upload',
+    noClick: selectedMethod !== 'upload' && selectedMethod !== 'import',
   });
 
   // Method selection
@@ -51,21 +179,50 @@ function App() {
       return;
     }
 
+    if (pages.length > 1 && selectedPages.length === 0) {
+      toast.error('אנא בחר לפחות עמוד אחד');
+      return;
+    }
+
     setIsProcessing(true);
+    const isImport = selectedMethod === 'import';
     const formData = new FormData();
-    formData.append('drawioFile', selectedFile);
+    if (isImport) {
+      formData.append('commboxFile', selectedFile);
+    } else {
+      formData.append('drawioFile', selectedFile);
+      formData.append('format', sourceFormat);
+      formData.append('pageMode', pageMode);
+      formData.append('edgeLabelMode', edgeLabelMode);
+      formData.append('ruleSet', getRuleSetValue());
+      const { globalHandlers, ...headerSettings } = scriptSettings;
+      formData.append('scriptSettings', JSON.stringify(headerSettings));
+      formData.append('globalHandlers', JSON.stringify({
+        ...globalHandlers,
+        extra: globalHandlers.extra.filter((handler) => handler.text.trim()),
+      }));
+      if (buttonDisplayMode) {
+        formData.append('buttonDisplayMode', buttonDisplayMode);
+      }
+      if (attachmentBaseUrl.trim()) {
+        formData.append('attachmentBaseUrl', attachmentBaseUrl.trim());
+      }
+      if (selectedPages.length > 0) {
+        formData.append('pages', JSON.stringify(selectedPages));
+      }
+      // Update the current Commbox export instead of replacing it
+      if (existingExport) {
+        formData.append('commboxFile', existingExport);
+      }
+    }
 
     try {
-      const response = await axios.post(`${API_URL}/api/converter/convert`, formData, {
-        headers: {
-          'Content-Type': 'multipart/form-data',
-        },
-        timeout: 30000,
-      });
+      const endpoint = isImport ? 'import' : 'convert';
+      const response = await postForm(endpoint, formData);
 
       if (response.data.success) {
         setResult(response.data);
-        setCurrentStep(4);
+        setCurrentStep(5);
         toast.success('הקובץ עובד בהצלחה!');
       } else {
         throw new Error(response.data.error || 'שגיאה בעיבוד הקובץ');
@@ -78,38 +235,109 @@ function App() {
     }
   };
 
+  // Validate the diagram before conversion
+  const validateFile = async () => {
+    if (!selectedFile) {
+      toast.error('אנא בחר קובץ תחילה');
+      return;
+    }
+
+    setIsValidating(true);
+    const formData = new FormData();
+    formData.append('drawioFile', selectedFile);
+    formData.append('format', sourceFormat);
+    formData.append('ruleSet', getRuleSetValue());
+    if (selectedPages.length > 0) {
+      formData.append('pages', JSON.stringify(selectedPages));
+    }
+
+    try {
+      const response = await postForm('validate', formData);
+
+      if (response.data.success) {
+        setValidation(response.data);
+      } else {
+        throw new Error(response.data.error || 'שגיאה בבדיקת הקובץ');
+      }
+    } catch (error) {
+      console.error('Validation error:', error);
+      toast.error(error.response?.data?.error || error.message || 'שגיאה בבדיקת הקובץ');
+    } finally {
+      setIsValidating(false);
+    }
+  };
+
+  // Compare two versions of the bot - Draw.io files are converted with the
+  // current options
+  const compareVersions = async () => {
+    if (!compareFiles.base || !compareFiles.head) {
+      toast.error('אנא בחר את שתי הגרסאות');
+      return;
+    }
+
+    setIsComparing(true);
+    const formData = new FormData();
+    formData.append('baseFile', compareFiles.base);
+    formData.append('headFile', compareFiles.head);
+    formData.append('pageMode', pageMode);
+    formData.append('edgeLabelMode', edgeLabelMode);
+    formData.append('ruleSet', getRuleSetValue());
+
+    try {
+      const response = await postForm('diff', formData);
+
+      if (response.data.success) {
+        setDiff(response.data);
+      } else {
+        throw new Error(response.data.error || 'שגיאה בהשוואת הגרסאות');
+      }
+    } catch (error) {
+      console.error('Diff error:', error);
+      toast.error(error.response?.data?.error || error.message || 'שגיאה בהשוואת הגרסאות');
+    } finally {
+      setIsComparing(false);
+    }
+  };
+
   // Download XML
   const downloadXML = () => {
     if (!result || !result.xml) return;
-
-    const blob = new Blob([result.xml], { type: 'text/xml;charset=utf-8' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = result.filename || `commbox_bot_${Date.now()}.xml`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    downloadBlob(result.xml, result.filename || `commbox_bot_${Date.now()}.xml`, 'text/xml;charset=utf-8');
     toast.success('הקובץ הורד בהצלחה!');
   };
 
-  // NEW: Download intermediate mxGraphModel XML
+  // Download the Draw.io file created from a Commbox export
+  const downloadDrawio = () => {
+    if (!result || !result.drawio) return;
+    downloadBlob(result.drawio, result.filename || `commbox_import_${Date.now()}.drawio`, 'application/xml;charset=utf-8');
+    toast.success('קובץ Draw.io הורד בהצלחה!');
+  };
+
+  // Download intermediate mxGraphModel XML
   const downloadMxGraphModelXML = () => {
     if (!result || !result.mxGraphModelXml) return;
-    const blob = new Blob([result.mxGraphModelXml], { type: 'text/xml;charset=utf-8' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = result.mxGraphModelFilename || `mxGraphModel_${Date.now()}.xml`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    downloadBlob(result.mxGraphModelXml, result.mxGraphModelFilename || `mxGraphModel_${Date.now()}.xml`, 'text/xml;charset=utf-8');
     toast.success('קובץ mxGraphModel הורד בהצלחה!');
   };
 
+  // Download the Draw.io cell id to Commbox node id mapping
+  const downloadIdManifest = () => {
+    if (!result || !result.idManifest) return;
+    downloadBlob(
+      JSON.stringify(result.idManifest, null, 2),
+      result.idManifestFilename || `commbox_ids_${Date.now()}.json`,
+      'application/json;charset=utf-8'
+    );
+    toast.success('מיפוי המזהים הורד בהצלחה!');
+  };
 
+  // Download the zip of the XML and the attachments embedded in the diagram
+  const downloadBundle = () => {
+    if (!result || !result.bundle) return;
+    const bytes = Uint8Array.from(atob(result.bundle), (char) => char.charCodeAt(0));
+    downloadBlob(bytes, result.bundleFilename || `commbox_bot_${Date.now()}.zip`, 'application/zip');
+    toast.success('החבילה הורדה בהצלחה!');
+  };
 
   // Reset
   const resetProcess = () => {
@@ -117,6 +345,19 @@ function App() {
     setSelectedMethod(null);
     setSelectedFile(null);
     setResult(null);
+    setPages([]);
+    setSelectedPages([]);
+    setPageMode('scripts');
+    setEdgeLabelMode('child');
+    setButtonDisplayMode('');
+    setRuleSet('default');
+    setCustomRules('');
+    setValidation(null);
+    setExistingExport(null);
+    setCompareFiles({ base: null, head: null });
+    setDiff(null);
+    setSourceFormat('drawio');
+    setSourceText('');
   };
 
   return (
@@ -168,10 +409,10 @@ function App() {
             <div className="absolute top-5 right-0 left-0 h-0.5 bg-gray-200"></div>
             <div 
               className="absolute top-5 right-0 h-0.5 bg-gradient-to-l from-purple-600 to-indigo-600 transition-all duration-500"
-              style={{ width: `${(currentStep - 1) * 33.33}%` }}
+              style={{ width: `${(currentStep - 1) * 25}%` }}
             ></div>
             
-            {[1, 2, 3, 4].map((step) => (
+            {[1, 2, 3, 4, 5].map((step) => (
               <div key={step} className="relative z-10 flex flex-col items-center">
                 <div 
                   className={`w-10 h-10 rounded-full flex items-center justify-center font-bold transition-all duration-300 ${
@@ -185,8 +426,9 @@ function App() {
                 <span className="text-xs mt-2 text-gray-600 hidden sm:block">
                   {step === 1 && 'בחירה'}
                   {step === 2 && 'העלאה'}
-                  {step === 3 && 'עיבוד'}
-                  {step === 4 && 'הורדה'}
+                  {step === 3 && 'הגדרות'}
+                  {step === 4 && 'עיבוד'}
+                  {step === 5 && 'הורדה'}
                 </span>
               </div>
             ))}
@@ -216,7 +458,7 @@ function App() {
                       העלה קובץ קיים
                     </h3>
                     <p className="text-gray-600 text-sm">
-                      יש לך כבר קובץ Draw.io מוכן
+                      קובץ Draw.io, תרשים Mermaid או הגדרת בוט ב-YAML/JSON
                     </p>
                   </motion.button>
 
@@ -234,7 +476,52 @@ function App() {
                       פתח את Draw.io ליצירת פלואו חדש
                     </p>
                   </motion.button>
+
+                  <motion.button
+                    whileHover={{ scale: 1.02 }}
+                    whileTap={{ scale: 0.98 }}
+                    onClick={() => handleMethodSelect('import')}
+                    className="p-6 border-2 border-gray-200 rounded-xl hover:border-purple-500 hover:shadow-lg transition-all group"
+                  >
+                    <div className="text-4xl mb-3">🔁</div>
+                    <h3 className="text-xl font-semibold mb-2 group-hover:text-purple-600">
+                      ייבא בוט מ-Commbox
+                    </h3>
+                    <p className="text-gray-600 text-sm">
+                      המר ייצוא Scripts של Commbox לקובץ Draw.io
+                    </p>
+                  </motion.button>
+
+                  <motion.button
+                    whileHover={{ scale: 1.02 }}
+                    whileTap={{ scale: 0.98 }}
+                    onClick={() => handleMethodSelect('compare')}
+                    className="p-6 border-2 border-gray-200 rounded-xl hover:border-purple-500 hover:shadow-lg transition-all group"
+                  >
+                    <div className="text-4xl mb-3">⚖️</div>
+                    <h3 className="text-xl font-semibold mb-2 group-hover:text-purple-600">
+                      השווה גרסאות
+                    </h3>
+                    <p className="text-gray-600 text-sm">
+                      מה השתנה בין שתי גרסאות של הבוט
+                    </p>
+                  </motion.button>
                 </div>
+
+                <label className="flex items-start gap-3 mt-6 bg-gray-50 rounded-lg p-4 text-right text-gray-700 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={localMode}
+                    onChange={(e) => toggleLocalMode(e.target.checked)}
+                    className="mt-1"
+                  />
+                  <span>
+                    <span className="font-semibold">🔒 המרה מקומית בדפדפן</span>
+                    <span className="block text-sm text-gray-600">
+                      הקבצים לא נשלחים לשרת - ההמרה, הבדיקה וההשוואה רצות במחשב שלך. במצב הזה זמינים רק סט החוקים המובנה ו-JSON מותאם אישית.
+                    </span>
+                  </span>
+                </label>
               </motion.div>
             )}
 
@@ -247,33 +534,64 @@ function App() {
                 exit={{ opacity: 0, x: -20 }}
               >
                 <h2 className="text-2xl sm:text-3xl font-bold mb-6 text-gray-800">
-                  {selectedMethod === 'upload' ? 'העלה את הקובץ' : 'צור קובץ ב-Draw.io'}
+                  {selectedMethod === 'upload' && 'העלה את הקובץ'}
+                  {selectedMethod === 'create' && 'צור קובץ ב-Draw.io'}
+                  {selectedMethod === 'import' && 'העלה ייצוא Scripts של Commbox'}
+                  {selectedMethod === 'compare' && 'השווה שתי גרסאות של הבוט'}
                 </h2>
 
-                {selectedMethod === 'upload' ? (
-                  <div
-                    {...getRootProps()}
-                    className={`border-3 border-dashed rounded-xl p-8 sm:p-12 text-center cursor-pointer transition-all ${
-                      isDragActive 
-                        ? 'border-purple-500 bg-purple-50' 
-                        : 'border-gray-300 hover:border-purple-400 bg-gray-50'
-                    }`}
-                  >
-                    <input {...getInputProps()} />
-                    <div className="text-5xl sm:text-6xl mb-4">☁️</div>
-                    {isDragActive ? (
-                      <p className="text-lg text-purple-600">שחרר את הקובץ כאן...</p>
-                    ) : (
-                      <>
-                        <p className="text-lg font-semibold mb-2">
-                          גרור קובץ לכאן או לחץ לבחירה
-                        </p>
-                        <p className="text-sm text-gray-600">
-                          קבצים נתמכים: .drawio, .xml
-                        </p>
-                      </>
+                {selectedMethod === 'compare' ? (
+                  <>
+                    <VersionDiff
+                      files={compareFiles}
+                      onFileChange={(side, file) => setCompareFiles((current) => ({ ...current, [side]: file }))}
+                      onCompare={compareVersions}
+                      isComparing={isComparing}
+                      diff={diff}
+                    />
+                    <button
+                      type="button"
+                      onClick={resetProcess}
+                      className="mt-6 px-6 py-2 text-purple-600 hover:text-purple-700 font-semibold"
+                    >
+                      🔄 התחל מחדש
+                    </button>
+                  </>
+                ) : selectedMethod !== 'create' ? (
+                  <>
+                    {selectedMethod === 'upload' && (
+                      <FlowSource
+                        format={sourceFormat}
+                        onFormatChange={setSourceFormat}
+                        text={sourceText}
+                        onTextChange={setSourceText}
+                        onSubmit={submitSourceText}
+                      />
                     )}
-                  </div>
+                    <div
+                      {...getRootProps()}
+                      className={`border-3 border-dashed rounded-xl p-8 sm:p-12 text-center cursor-pointer transition-all ${
+                        isDragActive 
+                          ? 'border-purple-500 bg-purple-50' 
+                          : 'border-gray-300 hover:border-purple-400 bg-gray-50'
+                      }`}
+                    >
+                      <input {...getInputProps()} />
+                      <div className="text-5xl sm:text-6xl mb-4">☁️</div>
+                      {isDragActive ? (
+                        <p className="text-lg text-purple-600">שחרר את הקובץ כאן...</p>
+                      ) : (
+                        <>
+                          <p className="text-lg font-semibold mb-2">
+                            גרור קובץ לכאן או לחץ לבחירה
+                          </p>
+                          <p className="text-sm text-gray-600">
+                            {selectedMethod === 'import' ? 'קבצים נתמכים: .xml' : `קבצים נתמכים: ${uploadFormat.hint}`}
+                          </p>
+                        </>
+                      )}
+                    </div>
+                  </>
                 ) : (
                   <div className="bg-blue-50 border border-blue-200 rounded-xl p-6">
                     <h3 className="text-xl font-semibold mb-4 text-blue-900">
@@ -283,7 +601,7 @@ function App() {
                       <li>1. Draw.io נפתח בחלון חדש</li>
                       <li>2. צור את הפלואו של הבוט</li>
                       <li>3. השתמש בנודים: מעבר לנציג, לא ידוע, שגיאה, סיום</li>
-                      <li>4. שמור: File → Export as → XML</li>
+                      <li>4. שמור: File → Export as → XML, או PNG/SVG עם "Include a copy of my diagram"</li>
                       <li>5. חזור לכאן והעלה את הקובץ</li>
                     </ol>
                     <motion.button
@@ -299,13 +617,36 @@ function App() {
               </motion.div>
             )}
 
-            {/* Step 3: Process */}
+            {/* Step 3: Script settings */}
             {currentStep === 3 && (
               <motion.div
                 key="step3"
                 initial={{ opacity: 0, x: 20 }}
                 animate={{ opacity: 1, x: 0 }}
                 exit={{ opacity: 0, x: -20 }}
+              >
+                <h2 className="text-2xl sm:text-3xl font-bold mb-6 text-gray-800">
+                  הגדרות הסקריפט
+                </h2>
+                <ScriptSettings settings={scriptSettings} onChange={setScriptSettings} pages={pages} />
+                <motion.button
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  onClick={() => setCurrentStep(4)}
+                  className="w-full py-3 bg-gradient-to-r from-purple-600 to-indigo-600 text-white rounded-lg font-semibold hover:shadow-lg transition-all"
+                >
+                  המשך לעיבוד
+                </motion.button>
+              </motion.div>
+            )}
+
+            {/* Step 4: Process */}
+            {currentStep === 4 && (
+              <motion.div
+                key="step4"
+                initial={{ opacity: 0, x: 20 }}
+                animate={{ opacity: 1, x: 0 }}
+                exit={{ opacity: 0, x: -20 }}
                 className="text-center"
               >
                 <h2 className="text-2xl sm:text-3xl font-bold mb-6 text-gray-800">
@@ -318,9 +659,190 @@ function App() {
                     <p className="text-sm text-gray-500 mt-1">
                       גודל: {(selectedFile.size / 1024).toFixed(2)} KB
                     </p>
+                    {localMode && (
+                      <p className="text-sm text-green-700 mt-1">🔒 הקובץ יעובד בדפדפן, בלי להעלות אותו לשרת</p>
+                    )}
+                    {selectedMethod !== 'import' && (
+                      <button
+                        type="button"
+                        onClick={() => setCurrentStep(3)}
+                        className="text-sm text-purple-600 hover:underline mt-2"
+                      >
+                        ⚙️ הגדרות הסקריפט{scriptSettings.name && `: ${scriptSettings.name}`}
+                      </button>
+                    )}
+                  </div>
+                )}
+
+                {pages.length > 1 && (
+                  <div className="bg-gray-50 rounded-lg p-4 mb-6 text-right">
+                    <p className="font-semibold text-gray-700 mb-3">📑 עמודים להמרה</p>
+                    <div className="space-y-2 mb-4">
+                      {pages.map((page) => (
+                        <label key={page.id} className="flex items-center gap-2 text-gray-700 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={selectedPages.includes(page.id)}
+                            onChange={() => togglePage(page.id)}
+                            className="accent-purple-600"
+                          />
+                          <span>{page.name}</span>
+                          <span className="text-xs text-gray-500">({page.nodesCount} נודים)</span>
+                        </label>
+                      ))}
+                    </div>
+                    <p className="font-semibold text-gray-700 mb-2">אופן ההמרה</p>
+                    <div className="flex flex-col sm:flex-row gap-2 sm:gap-6 text-gray-700">
+                      <label className="flex items-center gap-2 cursor-pointer">
+                        <input
+                          type="radio"
+                          name="pageMode"
+                          value="scripts"
+                          checked={pageMode === 'scripts'}
+                          onChange={() => setPageMode('scripts')}
+                          className="accent-purple-600"
+                        />
+                        סקריפט נפרד לכל עמוד
+                      </label>
+                      <label className="flex items-center gap-2 cursor-pointer">
+                        <input
+                          type="radio"
+                          name="pageMode"
+                          value="subtree"
+                          checked={pageMode === 'subtree'}
+                          onChange={() => setPageMode('subtree')}
+                          className="accent-purple-600"
+                        />
+                        כל עמוד כענף תחת נוד ההתחלה
+                      </label>
+                    </div>
+                  </div>
+                )}
+
+                {selectedMethod !== 'import' && (
+                  <div className="bg-gray-50 rounded-lg p-4 mb-6 text-right">
+                    <p className="font-semibold text-gray-700 mb-3">⚙️ כפתורים מתוויות חיבורים</p>
+                    <div className="flex flex-col sm:flex-row gap-2 sm:gap-6 text-gray-700 mb-4">
+                      <label className="flex items-center gap-2 cursor-pointer">
+                        <input
+                          type="radio"
+                          name="edgeLabelMode"
+                          value="child"
+                          checked={edgeLabelMode === 'child'}
+                          onChange={() => setEdgeLabelMode('child')}
+                          className="accent-purple-600"
+                        />
+                        התווית היא טקסט הכפתור של הנוד הבא
+                      </label>
+                      <label className="flex items-center gap-2 cursor-pointer">
+                        <input
+                          type="radio"
+                          name="edgeLabelMode"
+                          value="option"
+                          checked={edgeLabelMode === 'option'}
+                          onChange={() => setEdgeLabelMode('option')}
+                          className="accent-purple-600"
+                        />
+                        נוד בחירה נפרד לכל תווית
+                      </label>
+                    </div>
+                    <label className="flex items-center gap-2 text-gray-700">
+                      <span>buttonDisplayMode לתפריטים:</span>
+                      <select
+                        value={buttonDisplayMode}
+                        onChange={(e) => setButtonDisplayMode(e.target.value)}
+                        className="border border-gray-300 rounded-md px-2 py-1"
+                      >
+                        <option value="">ללא (ברירת המחדל של Commbox)</option>
+                        <option value="1">1</option>
+                        <option value="2">2</option>
+                        <option value="3">3</option>
+                      </select>
+                    </label>
+                    <p className="text-xs text-gray-500 mt-2">
+                      ניתן לקבוע ערך לנוד מסוים עם buttonDisplayMode=... בסגנון של הצורה ב-Draw.io
+                    </p>
+                    <label className="flex items-center gap-2 text-gray-700 mt-4">
+                      <span>🏷️ סט חוקים לזיהוי סוגי נודים:</span>
+                      <select
+                        value={ruleSet}
+                        onChange={(e) => setRuleSet(e.target.value)}
+                        className="border border-gray-300 rounded-md px-2 py-1"
+                      >
+                        {availableRuleSets.length === 0 && <option value="default">default</option>}
+                        {availableRuleSets.map((item) => (
+                          <option key={item.name} value={item.name} title={item.description}>
+                            {item.name}
+                          </option>
+                        ))}
+                        <option value="custom">JSON מותאם אישית</option>
+                      </select>
+                    </label>
+                    {ruleSet === 'custom' && (
+                      <textarea
+                        value={customRules}
+                        onChange={(e) => setCustomRules(e.target.value)}
+                        placeholder='{"rules": [{"id": "vip", "type": "transfer", "priority": 200, "match": {"words": ["VIP"]}}]}'
+                        rows={5}
+                        dir="ltr"
+                        className="w-full mt-2 border border-gray-300 rounded-md p-2 font-mono text-xs"
+                      />
+                    )}
+                  </div>
+                )}
+
+                {selectedMethod !== 'import' && (
+                  <div className="bg-gray-50 rounded-lg p-4 mb-6 text-right">
+                    <p className="font-semibold text-gray-700 mb-3">📎 קבצים מצורפים</p>
+                    <label className="flex flex-col gap-1 text-gray-700">
+                      <span>כתובת בסיס לתמונות וקבצים המוטמעים בדיאגרמה:</span>
+                      <input
+                        value={attachmentBaseUrl}
+                        onChange={(e) => setAttachmentBaseUrl(e.target.value)}
+                        placeholder="https://cdn.example.com/bot/"
+                        dir="ltr"
+                        className="border border-gray-300 rounded-md px-2 py-1"
+                      />
+                    </label>
+                    <p className="text-xs text-gray-500 mt-2">
+                      תמונות, קישורים ומאפיין attachment של הצורות מצורפים לנודים. קבצים מוטמעים נשמרים בחבילת ZIP יחד עם ה-XML - העלו אותם לכתובת הזו
+                    </p>
+                  </div>
+                )}
+
+                {selectedMethod !== 'import' && (
+                  <div className="bg-gray-50 rounded-lg p-4 mb-6 text-right">
+                    <p className="font-semibold text-gray-700 mb-3">🔄 עדכון ייצוא קיים</p>
+                    <label className="flex flex-col gap-1 text-gray-700">
+                      <span>ייצוא Scripts הנוכחי מ-Commbox (לא חובה):</span>
+                      <input
+                        type="file"
+                        accept=".xml"
+                        onChange={(e) => setExistingExport(e.target.files[0] || null)}
+                        className="text-sm"
+                      />
+                    </label>
+                    <p className="text-xs text-gray-500 mt-2">
+                      הדיאגרמה תעדכן את הייצוא במקום ליצור בוט חדש - מזהי הנודים, ה-Stream ID וההגדרות שנקבעו ב-Commbox נשמרים, ורק מה שהשתנה נוסף או מוסר
+                    </p>
                   </div>
                 )}
 
+                {selectedMethod !== 'import' && (
+                  <>
+                    <ValidationReport findings={validation?.findings} />
+                    <motion.button
+                      whileHover={{ scale: 1.02 }}
+                      whileTap={{ scale: 0.98 }}
+                      onClick={validateFile}
+                      disabled={isValidating || isProcessing}
+                      className="block mx-auto mb-4 px-6 py-2 border-2 border-purple-600 text-purple-600 rounded-full font-semibold hover:bg-purple-50 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {isValidating ? 'בודק את הדיאגרמה...' : '🩺 בדוק את הדיאגרמה'}
+                    </motion.button>
+                  </>
+                )}
+
                 <motion.button
                   whileHover={{ scale: 1.05 }}
                   whileTap={{ scale: 0.95 }}
@@ -347,18 +869,28 @@ function App() {
                     animate={{ opacity: 1 }}
                     className="mt-6 space-y-2 text-gray-600"
                   >
-                    <p>🔍 קורא את קובץ Draw.io...</p>
-                    <p>🔧 מפענח את המבנה...</p>
-                    <p>✨ יוצר קובץ XML של Commbox...</p>
+                    {selectedMethod === 'import' ? (
+                      <>
+                        <p>🔍 קורא את קובץ Commbox...</p>
+                        <p>🔧 מפענח את הסקריפטים...</p>
+                        <p>✨ יוצר קובץ Draw.io...</p>
+                      </>
+                    ) : (
+                      <>
+                        <p>🔍 קורא את קובץ Draw.io...</p>
+                        <p>🔧 מפענח את המבנה...</p>
+                        <p>✨ יוצר קובץ XML של Commbox...</p>
+                      </>
+                    )}
                   </motion.div>
                 )}
               </motion.div>
             )}
 
-            {/* Step 4: Download */}
-            {currentStep === 4 && result && (
+            {/* Step 5: Download */}
+            {currentStep === 5 && result && (
               <motion.div
-                key="step4"
+                key="step5"
                 initial={{ opacity: 0, scale: 0.9 }}
                 animate={{ opacity: 1, scale: 1 }}
                 exit={{ opacity: 0, scale: 0.9 }}
@@ -366,43 +898,131 @@ function App() {
               >
               <div className="text-6xl mb-4">🎉</div>
                 <h2 className="text-2xl sm:text-3xl font-bold mb-6 text-gray-800">
-                  הבוט שלך מוכן!
+                  {result.drawio ? 'הדיאגרמה שלך מוכנה!' : 'הבוט שלך מוכן!'}
                 </h2>
                 
-                <div className="bg-green-50 border border-green-200 rounded-lg p-6 mb-6">
-                  <p className="text-lg text-green-800 mb-4">
-                    ✅ קובץ ה-XML נוצר בהצלחה
-                  </p>
-                  <div className="flex flex-col items-center gap-4">
-                    {/* Main Download Button */}
+                {result.drawio ? (
+                  <div className="bg-green-50 border border-green-200 rounded-lg p-6 mb-6">
+                    <p className="text-lg text-green-800 mb-4">
+                      ✅ קובץ ה-Draw.io נוצר בהצלחה
+                    </p>
+                    <p className="text-sm text-green-900 mb-4">
+                      {result.stats.scriptsCount} סקריפטים, {result.stats.nodesCount} נודים
+                    </p>
                     <motion.button
                       whileHover={{ scale: 1.05 }}
                       whileTap={{ scale: 0.95 }}
-                      onClick={downloadXML}
+                      onClick={downloadDrawio}
                       className="w-full px-8 py-3 bg-green-600 text-white rounded-full font-bold text-lg hover:bg-green-700 transition-all"
                     >
-                      ⬇️ הורד קובץ Commbox XML
-                    </motion.button>
-                    {/* NEW: Temporary Download Button */}
-                    <motion.button
-                      whileHover={{ scale: 1.05 }}
-                      whileTap={{ scale: 0.95 }}
-                      onClick={downloadMxGraphModelXML}
-                      className="w-full px-8 py-3 bg-gray-600 text-white rounded-full font-semibold hover:bg-gray-700 transition-all text-base"
-                    >
-                      🔧 הורד קובץ mxGraphModel (שלב ביניים)
+                      ⬇️ הורד קובץ Draw.io
                     </motion.button>
                   </div>
-                </div>
+                ) : (
+                  <div className="bg-green-50 border border-green-200 rounded-lg p-6 mb-6">
+                    <p className="text-lg text-green-800 mb-4">
+                      ✅ קובץ ה-XML נוצר בהצלחה
+                    </p>
+                    {result.stats?.pages?.length > 1 && (
+                      <ul className="text-sm text-green-900 mb-4 space-y-1">
+                        {result.stats.pages.map((page) => (
+                          <li key={page.id}>
+                            📄 {page.name}: {page.nodesCount} נודים, {page.connectionsCount} חיבורים
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    <div className="flex flex-col items-center gap-4">
+                      {/* Main Download Button */}
+                      <motion.button
+                        whileHover={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                        onClick={downloadXML}
+                        className="w-full px-8 py-3 bg-green-600 text-white rounded-full font-bold text-lg hover:bg-green-700 transition-all"
+                      >
+                        ⬇️ הורד קובץ Commbox XML
+                      </motion.button>
+                      {/* Intermediate mxGraphModel download */}
+                      <motion.button
+                        whileHover={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                        onClick={downloadMxGraphModelXML}
+                        className="w-full px-8 py-3 bg-gray-600 text-white rounded-full font-semibold hover:bg-gray-700 transition-all text-base"
+                      >
+                        🔧 הורד קובץ mxGraphModel (שלב ביניים)
+                      </motion.button>
+                      {result.idManifest && (
+                        <motion.button
+                          whileHover={{ scale: 1.05 }}
+                          whileTap={{ scale: 0.95 }}
+                          onClick={downloadIdManifest}
+                          className="w-full px-8 py-3 bg-gray-600 text-white rounded-full font-semibold hover:bg-gray-700 transition-all text-base"
+                        >
+                          🆔 הורד מיפוי מזהים (Draw.io ← Commbox)
+                        </motion.button>
+                      )}
+                      {result.bundle && (
+                        <motion.button
+                          whileHover={{ scale: 1.05 }}
+                          whileTap={{ scale: 0.95 }}
+                          onClick={downloadBundle}
+                          className="w-full px-8 py-3 bg-gray-600 text-white rounded-full font-semibold hover:bg-gray-700 transition-all text-base"
+                        >
+                          📎 הורד חבילה עם {result.attachmentFiles.length} קבצים מצורפים (ZIP)
+                        </motion.button>
+                      )}
+                    </div>
+                  </div>
+                )}
 
-                {result.xml && (
-                  <div className="bg-gray-900 rounded-lg p-4 max-h-48 overflow-auto text-right">
-                    <pre className="text-xs text-green-400 font-mono">
-                      {result.xml.substring(0, 500)}...
-                    </pre>
+                {result.merge && (
+                  <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6 text-right">
+                    <p className="font-semibold text-gray-700 mb-3">
+                      🔄 עדכון הייצוא: {result.merge.kept} נודים נשמרו, {result.merge.added} נוספו, {result.merge.removed} הוסרו
+                    </p>
+                    {result.merge.conflicts.length > 0 ? (
+                      <ul className="space-y-1 text-sm text-yellow-800 max-h-48 overflow-auto">
+                        {result.merge.conflicts.map((conflict, index) => (
+                          <li key={index}>
+                            ⚠️ {conflict.label && <span className="font-semibold">{conflict.label}</span>}
+                            {conflict.nodeId && <span className="font-mono text-xs" dir="ltr"> {conflict.nodeId}</span>}
+                            {' - '}{conflict.message}
+                          </li>
+                        ))}
+                      </ul>
+                    ) : (
+                      <p className="text-sm text-gray-600">אין התנגשויות עם ההגדרות שב-Commbox</p>
+                    )}
                   </div>
                 )}
 
+                {result.warnings?.length > 0 && <ValidationReport findings={result.warnings} />}
+
+                <ConversionReport entries={result.report} ruleSet={result.ruleSet} />
+
+                {result.diagram && <DiagramView diagram={result.diagram} report={result.report} scripts={result.scripts} />}
+
+                {result.jumps?.length > 0 && (
+                  <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6 text-right">
+                    <p className="font-semibold text-gray-700 mb-3">
+                      🔁 נוצרו {result.jumps.length} קפיצות לנודים קיימים
+                    </p>
+                    <ul className="space-y-1 text-sm text-gray-700 max-h-48 overflow-auto">
+                      {result.jumps.map((jump) => (
+                        <li key={jump.jumpNodeId}>
+                          {JUMP_KIND_LABELS[jump.kind] || jump.kind}:{' '}
+                          <span className="font-mono" dir="ltr">{jump.sourceCellId} → {jump.targetCellId}</span>
+                          {' '}(<span className="font-mono" dir="ltr">{jump.jumpNodeId} → {jump.targetNodeId}</span>)
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {result.scripts && <ScriptTree scripts={result.scripts} idManifest={result.idManifest} />}
+
+                {result.scripts && <BotSimulator scripts={result.scripts} />}
+
                 <motion.button
                   whileHover={{ scale: 1.02 }}
                   whileTap={{ scale: 0.98 }}
@@ -0,0 +1,320 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { FIXED_NODE_IDS } from 'commbox-converter/src/settings.js';
+
+// Chains of jumps and conditions longer than this are treated as a loop
+const MAX_AUTO_STEPS = 50;
+
+const OUTCOMES = [
+  { test: (node) => node.step === 'agent_node', text: '🎧 השיחה הועברה לנציג' },
+  { test: (node) => node.error, text: '⛔ הבוט הגיע לנוד שגיאה' },
+  { test: (node) => node.unknown, text: '❓ הבוט הגיע לנוד "לא ידוע"' },
+  { test: (node) => node.end, text: '🏁 השיחה הסתיימה' },
+];
+
+const MESSAGE_STYLES = {
+  bot: 'bg-white border border-gray-200 self-start',
+  user: 'bg-purple-600 text-white self-end',
+  system: 'bg-yellow-50 text-yellow-800 text-xs self-center',
+};
+
+const SPEAKER_LABELS = { bot: 'בוט', user: 'לקוח', system: 'סימולטור' };
+
+// Plain text of a bodyHtml - line breaks kept, every other tag dropped
+const htmlToText = (html) => html
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<li[^>]*>/gi, '\n• ')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&amp;/g, '&')
+  .trim();
+
+// Whether a collected value meets a condition of a condition node - numbers
+// are compared as numbers, anything else as text
+const testCondition = ({ operator, value }, actual) => {
+  const left = String(actual).trim();
+  const right = String(value).trim();
+  const numeric = left !== '' && right !== '' && !Number.isNaN(Number(left)) && !Number.isNaN(Number(right));
+  const [a, b] = numeric ? [Number(left), Number(right)] : [left, right];
+  switch (operator) {
+    case '==': return a === b;
+    case '!=': return a !== b;
+    case '>': return a > b;
+    case '<': return a < b;
+    case '>=': return a >= b;
+    case '<=': return a <= b;
+    case 'contains': return left.toLowerCase().includes(right.toLowerCase());
+    default: return false;
+  }
+};
+
+// Walk a script from a node: follow jumps and conditions, collect the bot's
+// messages and stop where the customer has to act - a button choice, an input
+// or a condition field the simulator doesn't know - or where the flow ends.
+// The node entered by a click shows only its message; nodes reached on their
+// own show their text when they have no message. A resumed walk goes on from a
+// node the customer has already seen (after an input or a condition value).
+// A condition node that is the only child of a node is entered on its own.
+const walk = (startId, values, nodesById, children, resumed = false) => {
+  const messages = [];
+  let nodeId = startId;
+  let clicked = true;
+
+  for (let steps = 0; steps < MAX_AUTO_STEPS; steps++) {
+    const node = nodesById.get(nodeId);
+    if (!node) {
+      messages.push({ from: 'system', text: `⚠️ הזרימה מפנה לנוד ${nodeId} שלא קיים בסקריפט` });
+      return { messages, ended: true };
+    }
+    if (node.jumpNode) {
+      nodeId = node.jumpNode;
+      continue;
+    }
+
+    const text = node.bodyHtml ? htmlToText(node.bodyHtml) : (clicked ? '' : node.text);
+    clicked = false;
+    // Condition nodes only route the conversation - the customer never sees them
+    if (!resumed && node.step !== 'condition_node') {
+      const attachments = Object.values(node.attachments || {});
+      if (text || attachments.length > 0) {
+        messages.push({ from: 'bot', text, attachments });
+      }
+
+      const outcome = OUTCOMES.find(({ test }) => test(node));
+      if (outcome) {
+        messages.push({ from: 'system', text: outcome.text });
+        return { messages, ended: true };
+      }
+    }
+
+    if (node.step === 'condition_node') {
+      const missing = (node.conditions || []).find((condition) => values[condition.field] === undefined);
+      if (missing) {
+        messages.push({ from: 'system', text: `הסימולטור לא יודע את הערך של ${missing.field} - הזן אותו כדי להמשיך` });
+        return { messages, currentId: node.id, pending: { kind: 'value', field: missing.field } };
+      }
+      const match = (node.conditions || []).find((condition) => testCondition(condition, values[condition.field]));
+      nodeId = match ? match.nodeId : node.defaultNodeId;
+      resumed = false;
+      if (!nodeId) {
+        messages.push({ from: 'system', text: '⚠️ אף תנאי לא התקיים ואין ענף ברירת מחדל - הזרימה נתקעה' });
+        return { messages, ended: true };
+      }
+      continue;
+    }
+
+    if (node.d_e && node.d_e.length > 0 && !resumed) {
+      const field = node.d_e[0];
+      if (!text) {
+        messages.push({ from: 'bot', text: field.name });
+      }
+      return { messages, currentId: node.id, pending: { kind: 'input', field } };
+    }
+
+    resumed = false;
+    const nodeChildren = children.get(node.id) || [];
+    if (nodeChildren.length === 0) {
+      messages.push({ from: 'system', text: '⚠️ לנוד אין המשך - הזרימה נגמרת כאן בלי סיום, העברה לנציג או שגיאה' });
+      return { messages, ended: true };
+    }
+    if (nodeChildren.length === 1 && nodeChildren[0].step === 'condition_node') {
+      nodeId = nodeChildren[0].id;
+      continue;
+    }
+    return { messages, currentId: node.id };
+  }
+
+  messages.push({ from: 'system', text: '⚠️ יותר מדי קפיצות ותנאים ברצף - כנראה שיש לולאה בלי בחירה של הלקוח' });
+  return { messages, ended: true };
+};
+
+// A new conversation of a script, waiting at its root node
+const startChat = (scriptArray) => {
+  const rootNode = scriptArray.slice(1).find((node) => node.parent === '#');
+  return {
+    messages: [{ from: 'system', text: 'השיחה התחילה' }],
+    currentId: rootNode ? rootNode.id : null,
+    pending: null,
+    ended: !rootNode,
+    values: {},
+  };
+};
+
+// Chat-style simulator of a generated script - click through the bot as a
+// customer before importing it into Commbox
+function BotSimulator({ scripts }) {
+  const [scriptIndex, setScriptIndex] = useState(0);
+  const script = scripts?.[scriptIndex];
+  const nodes = useMemo(() => (script ? script.scriptArray.slice(1) : []), [script]);
+  const nodesById = useMemo(() => new Map(nodes.map((node) => [node.id, node])), [nodes]);
+  // The fixed-process block holds Commbox's global handlers, not a choice of the
+  // customer - its handlers are reached through jumps only
+  const children = useMemo(() => {
+    const byParent = new Map();
+    nodes
+      .filter((node) => node.id !== FIXED_NODE_IDS.processes)
+      .forEach((node) => byParent.set(node.parent, [...(byParent.get(node.parent) || []), node]));
+    return byParent;
+  }, [nodes]);
+  const [chat, setChat] = useState(() => startChat(script ? script.scriptArray : []));
+  const [inputValue, setInputValue] = useState('');
+
+  // A new conversion starts a new conversation with its first script
+  useEffect(() => {
+    setScriptIndex(0);
+    setChat(startChat(scripts?.[0] ? scripts[0].scriptArray : []));
+    setInputValue('');
+  }, [scripts]);
+
+  if (!script) return null;
+
+  const restart = () => {
+    setChat(startChat(script.scriptArray));
+    setInputValue('');
+  };
+
+  // Continue the walk from a node, with the customer's message first
+  const advance = (nodeId, values, userMessage, resumed = false) => {
+    const result = walk(nodeId, values, nodesById, children, resumed);
+    setChat({
+      messages: [...chat.messages, ...(userMessage ? [{ from: 'user', text: userMessage }] : []), ...result.messages],
+      currentId: result.currentId || null,
+      pending: result.pending || null,
+      ended: Boolean(result.ended),
+      values,
+    });
+  };
+
+  const submitValue = (e) => {
+    e.preventDefault();
+    const { pending } = chat;
+    const value = inputValue.trim();
+    setInputValue('');
+
+    if (pending.kind === 'value') {
+      advance(chat.currentId, { ...chat.values, [pending.field]: value }, value, true);
+      return;
+    }
+
+    const { field } = pending;
+    let problem = '';
+    if (!value && field.isMandatory) {
+      problem = 'השדה חובה - יש להזין ערך';
+    } else if (value && field.validation) {
+      try {
+        if (!new RegExp(field.validation).test(value)) {
+          problem = `הערך לא עומד בבדיקה ${field.validation}`;
+        }
+      } catch (error) {
+        problem = `הבדיקה ${field.validation} אינה ביטוי רגולרי תקין`;
+      }
+    }
+    if (problem) {
+      setChat({ ...chat, messages: [...chat.messages, { from: 'user', text: value }, { from: 'system', text: `⚠️ ${problem}` }] });
+      return;
+    }
+
+    advance(chat.currentId, { ...chat.values, [field.uniqueName]: value }, value, true);
+  };
+
+  const exportTranscript = () => {
+    const lines = chat.messages.map((message) => {
+      const attachments = (message.attachments || []).map((attachment) => `\n  📎 ${attachment.name} (${attachment.url})`).join('');
+      return `${SPEAKER_LABELS[message.from]}: ${message.text}${attachments}`;
+    });
+    const blob = new Blob([lines.join('\n')], { type: 'text/plain;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `commbox_simulation_${Date.now()}.txt`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  const buttons = !chat.ended && !chat.pending && chat.currentId ? children.get(chat.currentId) || [] : [];
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6 text-right">
+      <div className="flex items-center justify-between gap-2 mb-3">
+        <p className="font-semibold text-gray-700">💬 סימולטור</p>
+        <div className="flex items-center gap-2">
+          {scripts.length > 1 && (
+            <select
+              value={scriptIndex}
+              onChange={(e) => {
+                setScriptIndex(Number(e.target.value));
+                setChat(startChat(scripts[Number(e.target.value)].scriptArray));
+              }}
+              className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+            >
+              {scripts.map((item, index) => (
+                <option key={index} value={index}>{item.name || `סקריפט ${index + 1}`}</option>
+              ))}
+            </select>
+          )}
+          <button type="button" onClick={restart} className="text-sm text-purple-600 hover:underline">
+            🔄 התחל מחדש
+          </button>
+          <button type="button" onClick={exportTranscript} className="text-sm text-purple-600 hover:underline">
+            ⬇️ ייצא תמליל
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-col gap-2 max-h-96 overflow-auto bg-gray-100 rounded-md p-3 mb-3">
+        {chat.messages.map((message, index) => (
+          <div key={index} className={`max-w-[80%] rounded-lg px-3 py-2 text-sm whitespace-pre-line ${MESSAGE_STYLES[message.from]}`}>
+            {message.text}
+            {(message.attachments || []).map((attachment, attachmentIndex) => (
+              <a
+                key={attachmentIndex}
+                href={attachment.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="block text-xs text-purple-600 hover:underline"
+              >
+                📎 {attachment.name}
+              </a>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      {buttons.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {buttons.map((button) => (
+            <button
+              key={button.id}
+              type="button"
+              onClick={() => advance(button.id, chat.values, button.text)}
+              className="px-3 py-1 border border-purple-600 text-purple-600 rounded-full text-sm hover:bg-purple-50"
+            >
+              {button.text}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {chat.pending && (
+        <form onSubmit={submitValue} className="flex gap-2">
+          <input
+            value={inputValue}
+            onChange={(e) => setInputValue(e.target.value)}
+            placeholder={chat.pending.kind === 'input' ? chat.pending.field.name : chat.pending.field}
+            className="flex-1 border border-gray-300 rounded-md px-2 py-1 text-sm"
+            autoFocus
+          />
+          <button type="submit" className="px-4 py-1 bg-purple-600 text-white rounded-md text-sm">
+            שלח
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default BotSimulator;
@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+
+const TYPE_LABELS = {
+  start: 'התחלה',
+  message: 'הודעה',
+  decision: 'החלטה',
+  input: 'קלט',
+  transfer: 'מעבר לנציג',
+  unknown: 'לא ידוע',
+  error: 'שגיאה',
+  end: 'סיום',
+};
+
+const KIND_LABELS = {
+  edge: 'חיבור',
+  group: 'קבוצה',
+};
+
+const STATUS_STYLES = {
+  converted: { label: 'הומר', className: 'bg-green-100 text-green-700' },
+  ignored: { label: 'לא הומר', className: 'bg-gray-200 text-gray-700' },
+  dropped: { label: 'הושמט', className: 'bg-red-100 text-red-700' },
+};
+
+const SEVERITY_CLASS_NAMES = {
+  error: 'text-red-700',
+  warning: 'text-yellow-800',
+};
+
+const inputClassName = 'border border-gray-300 rounded-md px-2 py-1 text-sm';
+
+// Conversion report - every diagram cell with its detected type, the reason,
+// the generated Commbox ids and its warnings, with filters
+function ConversionReport({ entries, ruleSet }) {
+  const [search, setSearch] = useState('');
+  const [type, setType] = useState('');
+  const [status, setStatus] = useState('');
+  const [warningsOnly, setWarningsOnly] = useState(false);
+
+  if (!entries || entries.length === 0) return null;
+
+  const typeOf = (entry) => entry.type || entry.kind;
+  const types = [...new Set(entries.map(typeOf))];
+  const showPage = new Set(entries.map((entry) => entry.pageId)).size > 1;
+  const query = search.trim().toLowerCase();
+
+  const filtered = entries.filter((entry) => (
+    (!type || typeOf(entry) === type) &&
+    (!status || entry.status === status) &&
+    (!warningsOnly || entry.warnings.length > 0) &&
+    (!query || [entry.label, entry.cellId, ...entry.nodeIds].some((value) => value && value.toLowerCase().includes(query)))
+  ));
+  const withWarnings = entries.filter((entry) => entry.warnings.length > 0).length;
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6 text-right">
+      <p className="font-semibold text-gray-700 mb-3">
+        📋 דוח המרה: {entries.length} תאים, {withWarnings} עם אזהרות
+        {ruleSet && <span className="text-xs text-gray-500"> (סט חוקים: {ruleSet})</span>}
+      </p>
+      <div className="flex flex-col sm:flex-row flex-wrap gap-2 mb-3">
+        <input
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="חיפוש לפי תווית או מזהה"
+          className={`${inputClassName} flex-1`}
+        />
+        <select value={type} onChange={(e) => setType(e.target.value)} className={inputClassName}>
+          <option value="">כל הסוגים</option>
+          {types.map((value) => (
+            <option key={value} value={value}>{TYPE_LABELS[value] || KIND_LABELS[value] || value}</option>
+          ))}
+        </select>
+        <select value={status} onChange={(e) => setStatus(e.target.value)} className={inputClassName}>
+          <option value="">כל המצבים</option>
+          {Object.entries(STATUS_STYLES).map(([value, { label }]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={warningsOnly}
+            onChange={(e) => setWarningsOnly(e.target.checked)}
+            className="accent-purple-600"
+          />
+          <span>רק עם אזהרות</span>
+        </label>
+      </div>
+      <div className="max-h-96 overflow-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-gray-500 border-b border-gray-200">
+              <th className="py-1 text-right font-medium">תא</th>
+              <th className="py-1 text-right font-medium">סוג</th>
+              <th className="py-1 text-right font-medium">סיבה</th>
+              <th className="py-1 text-right font-medium">מזהה Commbox</th>
+              <th className="py-1 text-right font-medium">מצב</th>
+            </tr>
+          </thead>
+          <tbody>
+            {filtered.map((entry) => {
+              const entryStatus = STATUS_STYLES[entry.status] || STATUS_STYLES.converted;
+              return (
+                <tr key={`${entry.pageId}:${entry.kind}:${entry.cellId}`} className="border-b border-gray-100 align-top">
+                  <td className="py-1 text-gray-800">
+                    <p>{entry.label || <span className="text-gray-400">ללא תווית</span>}</p>
+                    <p className="text-xs text-gray-500">
+                      <span className="font-mono" dir="ltr">{entry.cellId}</span>
+                      {showPage && <span> · {entry.pageName}</span>}
+                    </p>
+                    {entry.warnings.map((warning, index) => (
+                      <p key={index} className={`text-xs ${SEVERITY_CLASS_NAMES[warning.severity] || SEVERITY_CLASS_NAMES.warning}`}>
+                        ⚠️ {warning.message}
+                      </p>
+                    ))}
+                  </td>
+                  <td className="py-1 text-gray-700">{TYPE_LABELS[typeOf(entry)] || KIND_LABELS[typeOf(entry)] || typeOf(entry)}</td>
+                  <td className="py-1 text-xs text-gray-600">{entry.reason || '—'}</td>
+                  <td className="py-1 font-mono text-xs text-gray-500" dir="ltr">{entry.nodeIds.join(', ') || '—'}</td>
+                  <td className="py-1">
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-semibold whitespace-nowrap ${entryStatus.className}`}>
+                      {entryStatus.label}
+                    </span>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {filtered.length === 0 && <p className="text-sm text-gray-500 py-2">אין תאים שמתאימים לסינון</p>}
+      </div>
+    </div>
+  );
+}
+
+export default ConversionReport;
@@ -0,0 +1,217 @@
+import React, { useMemo, useState } from 'react';
+
+const TYPE_COLORS = {
+  start: { label: 'התחלה', fill: '#d5e8d4', stroke: '#82b366' },
+  message: { label: 'הודעה', fill: '#ffffff', stroke: '#666666' },
+  decision: { label: 'החלטה', fill: '#e1d5e7', stroke: '#9673a6' },
+  input: { label: 'קלט', fill: '#fff2cc', stroke: '#d6b656' },
+  transfer: { label: 'מעבר לנציג', fill: '#dae8fc', stroke: '#6c8ebf' },
+  unknown: { label: 'לא ידוע', fill: '#f5f5f5', stroke: '#999999' },
+  error: { label: 'שגיאה', fill: '#f8cecc', stroke: '#b85450' },
+  end: { label: 'סיום', fill: '#d5e8d4', stroke: '#2d7a3a' },
+};
+
+// Cells that weren't converted as they are drawn - red and dashed
+const PROBLEM_STROKE = '#dc2626';
+const EDGE_STROKE = '#6b7280';
+const MARGIN = 20;
+
+const center = (bounds) => ({ x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 });
+
+// Where the line from the centre of a shape towards a point leaves its bounds,
+// so that edges end at the shape instead of under it
+const boundaryPoint = (bounds, toward) => {
+  const from = center(bounds);
+  const dx = toward.x - from.x;
+  const dy = toward.y - from.y;
+  const scale = Math.min(
+    dx ? bounds.width / 2 / Math.abs(dx) : Infinity,
+    dy ? bounds.height / 2 / Math.abs(dy) : Infinity,
+    1
+  );
+  return { x: from.x + dx * scale, y: from.y + dy * scale };
+};
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+// The source diagram drawn from the converted geometry - shapes coloured by
+// their detected type, cells that weren't converted in red, and the generated
+// Commbox nodes of the cell under the pointer
+function DiagramView({ diagram, report, scripts }) {
+  const [pageIndex, setPageIndex] = useState(0);
+  const [hovered, setHovered] = useState(null);
+
+  const entries = useMemo(
+    () => new Map((report || []).map((entry) => [`${entry.pageId}:${entry.cellId}`, entry])),
+    [report]
+  );
+  const commboxNodes = useMemo(
+    () => new Map((scripts || []).flatMap((script) => script.scriptArray.slice(1)).map((node) => [node.id, node])),
+    [scripts]
+  );
+
+  const page = diagram?.[pageIndex];
+  if (!page || page.nodes.length === 0) return null;
+
+  const nodeBounds = new Map(page.nodes.map((node) => [node.id, node.bounds]));
+  const entryOf = (cellId) => entries.get(`${page.id}:${cellId}`);
+  const isProblem = (entry) => !entry || entry.status !== 'converted' || entry.warnings.some((warning) => warning.severity === 'error');
+
+  // Everything drawn must fit - shapes, loose edge ends and waypoints
+  const points = page.nodes.flatMap(({ bounds }) => [
+    { x: bounds.x, y: bounds.y },
+    { x: bounds.x + bounds.width, y: bounds.y + bounds.height },
+  ]).concat(page.edges.flatMap((edge) => [edge.sourcePoint, edge.targetPoint, ...edge.waypoints].filter(Boolean)));
+  const minX = Math.min(...points.map((point) => point.x)) - MARGIN;
+  const minY = Math.min(...points.map((point) => point.y)) - MARGIN;
+  const width = Math.max(...points.map((point) => point.x)) - minX + MARGIN;
+  const height = Math.max(...points.map((point) => point.y)) - minY + MARGIN;
+
+  const edgePath = (edge) => {
+    const sourceBounds = nodeBounds.get(edge.source);
+    const targetBounds = nodeBounds.get(edge.target);
+    let start = sourceBounds ? center(sourceBounds) : edge.sourcePoint;
+    let end = targetBounds ? center(targetBounds) : edge.targetPoint;
+    if (!start || !end) return null;
+    if (sourceBounds) start = boundaryPoint(sourceBounds, edge.waypoints[0] || end);
+    if (targetBounds) end = boundaryPoint(targetBounds, edge.waypoints[edge.waypoints.length - 1] || start);
+    return [start, ...edge.waypoints, end].map((point) => `${point.x},${point.y}`).join(' ');
+  };
+
+  const renderShape = (node, colors, problem) => {
+    const { x, y, width: w, height: h } = node.bounds;
+    const props = {
+      fill: node.container ? 'none' : colors.fill,
+      stroke: problem ? PROBLEM_STROKE : colors.stroke,
+      strokeWidth: problem ? 2.5 : 1.5,
+      strokeDasharray: problem ? '6 3' : undefined,
+    };
+    if (node.shape === 'ellipse') {
+      return <ellipse cx={x + w / 2} cy={y + h / 2} rx={w / 2} ry={h / 2} {...props} />;
+    }
+    if (node.shape === 'rhombus') {
+      return <polygon points={`${x + w / 2},${y} ${x + w},${y + h / 2} ${x + w / 2},${y + h} ${x},${y + h / 2}`} {...props} />;
+    }
+    return <rect x={x} y={y} width={w} height={h} rx={node.container ? 0 : 6} {...props} />;
+  };
+
+  const hoveredEntry = hovered && entryOf(hovered);
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6 text-right">
+      <div className="flex items-center justify-between mb-3">
+        <p className="font-semibold text-gray-700">🗺️ הדיאגרמה המקורית</p>
+        {diagram.length > 1 && (
+          <select
+            value={pageIndex}
+            onChange={(e) => {
+              setPageIndex(Number(e.target.value));
+              setHovered(null);
+            }}
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+          >
+            {diagram.map((item, index) => (
+              <option key={item.id} value={index}>{item.name}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-3 text-xs text-gray-600 mb-2">
+        {Object.entries(TYPE_COLORS).map(([type, colors]) => (
+          <span key={type} className="flex items-center gap-1">
+            <span className="inline-block w-3 h-3 rounded-sm border" style={{ background: colors.fill, borderColor: colors.stroke }} />
+            {colors.label}
+          </span>
+        ))}
+        <span className="flex items-center gap-1">
+          <span className="inline-block w-3 h-3 rounded-sm border-2 border-dashed" style={{ borderColor: PROBLEM_STROKE }} />
+          לא הומר / שגיאה
+        </span>
+      </div>
+
+      <div className="bg-white border border-gray-200 rounded-md overflow-auto max-h-[32rem]" dir="ltr">
+        <svg viewBox={`${minX} ${minY} ${width} ${height}`} width="100%" style={{ minWidth: Math.min(width, 800) }}>
+          <defs>
+            <marker id="diagram-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+              <path d="M 0 0 L 10 5 L 0 10 z" fill={EDGE_STROKE} />
+            </marker>
+          </defs>
+
+          {page.nodes.filter((node) => node.container).map((node) => {
+            const entry = entryOf(node.id);
+            return (
+              <g key={node.id} onMouseEnter={() => setHovered(node.id)} onMouseLeave={() => setHovered(null)}>
+                {renderShape(node, TYPE_COLORS[entry?.type] || TYPE_COLORS.message, isProblem(entry))}
+                <text x={node.bounds.x + 6} y={node.bounds.y + 16} fontSize="12" fill="#374151">{truncate(node.label, 40)}</text>
+              </g>
+            );
+          })}
+
+          {page.edges.map((edge) => {
+            const path = edgePath(edge);
+            if (!path) return null;
+            // Edges are in the report only when they generated nodes or have warnings
+            const edgeEntry = entryOf(edge.id);
+            const problem = Boolean(edgeEntry) && isProblem(edgeEntry);
+            return (
+              <polyline
+                key={edge.id}
+                points={path}
+                fill="none"
+                stroke={problem ? PROBLEM_STROKE : EDGE_STROKE}
+                strokeWidth={problem ? 2 : 1.2}
+                strokeDasharray={problem ? '6 3' : undefined}
+                markerEnd="url(#diagram-arrow)"
+                onMouseEnter={() => setHovered(edge.id)}
+                onMouseLeave={() => setHovered(null)}
+              />
+            );
+          })}
+
+          {page.nodes.filter((node) => !node.container).map((node) => {
+            const entry = entryOf(node.id);
+            const { x, y } = center(node.bounds);
+            return (
+              <g key={node.id} onMouseEnter={() => setHovered(node.id)} onMouseLeave={() => setHovered(null)} className="cursor-pointer">
+                {renderShape(node, TYPE_COLORS[entry?.type] || TYPE_COLORS.message, isProblem(entry))}
+                <text x={x} y={y} fontSize="11" textAnchor="middle" dominantBaseline="middle" fill="#111827" direction="rtl">
+                  {truncate(node.label, Math.max(4, Math.floor(node.bounds.width / 7)))}
+                </text>
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+
+      <div className="text-sm text-gray-700 mt-2 min-h-[3rem]">
+        {hoveredEntry ? (
+          <>
+            <p>
+              <span className="font-semibold">{hoveredEntry.label || 'ללא תווית'}</span>{' '}
+              <span className="font-mono text-xs text-gray-500" dir="ltr">{hoveredEntry.cellId}</span>
+              {hoveredEntry.type && <span> · {TYPE_COLORS[hoveredEntry.type]?.label || hoveredEntry.type}</span>}
+              {hoveredEntry.reason && <span className="text-xs text-gray-500"> · {hoveredEntry.reason}</span>}
+            </p>
+            <p className="text-xs">
+              {hoveredEntry.nodeIds.length > 0 ? hoveredEntry.nodeIds.map((nodeId) => (
+                <span key={nodeId} className="ml-3">
+                  <span className="font-mono" dir="ltr">{nodeId}</span>: {commboxNodes.get(nodeId)?.text}
+                </span>
+              )) : 'לא נוצר נוד Commbox מהתא הזה'}
+            </p>
+            {hoveredEntry.warnings.map((warning, index) => (
+              <p key={index} className="text-xs text-red-700">⚠️ {warning.message}</p>
+            ))}
+          </>
+        ) : hovered ? (
+          <p className="text-xs text-gray-500">התא <span className="font-mono" dir="ltr">{hovered}</span> הומר ללא הערות</p>
+        ) : (
+          <p className="text-xs text-gray-500">העבר את העכבר מעל צורה או חיבור כדי לראות את הנוד שנוצר ממנו</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default DiagramView;
@@ -0,0 +1,97 @@
+import React from 'react';
+
+// Formats of the bot flow - Draw.io files, or text that can be pasted: Mermaid
+// flowcharts and bot definitions (YAML or JSON, see the README). The value is
+// the format field of the converter; pasted text is sent as a file named
+// pasteName, which the upload filter accepts.
+export const SOURCE_FORMATS = [
+  {
+    value: 'drawio',
+    label: 'Draw.io',
+    hint: '.drawio, .xml, .drawio.png, .drawio.svg',
+    accept: {
+      'text/xml': ['.xml', '.drawio'],
+      'image/png': ['.png'],
+      'image/svg+xml': ['.svg'],
+    },
+  },
+  {
+    value: 'mermaid',
+    label: 'Mermaid',
+    hint: '.mmd, .mermaid',
+    accept: { 'text/plain': ['.mmd', '.mermaid'] },
+    pasteName: 'flow.mmd',
+    placeholder: 'flowchart TD\n  start([התחלה]) --> menu[איך אפשר לעזור?]\n  menu -->|מכירות| sales[מעבר לנציג]\n  menu -->|שאלה אחרת| done((סיום))',
+  },
+  {
+    value: 'yaml',
+    label: 'YAML',
+    hint: '.yaml, .yml',
+    accept: { 'application/x-yaml': ['.yaml', '.yml'] },
+    pasteName: 'bot.yaml',
+    placeholder: 'nodes:\n  - id: start\n    type: start\n    text: התחלה\n    next: menu\n  - id: menu\n    text: איך אפשר לעזור?\n    next:\n      - { to: sales, label: מכירות }\n  - id: sales\n    type: transfer\n    text: נציג',
+  },
+  {
+    value: 'json',
+    label: 'JSON',
+    hint: '.json',
+    accept: { 'application/json': ['.json'] },
+    pasteName: 'bot.json',
+    placeholder: '{\n  "nodes": [\n    { "id": "start", "type": "start", "text": "התחלה", "next": "menu" },\n    { "id": "menu", "text": "איך אפשר לעזור?", "next": [{ "to": "sales", "label": "מכירות" }] },\n    { "id": "sales", "type": "transfer", "text": "נציג" }\n  ]\n}',
+  },
+];
+
+// Format picker of the upload step, with a text area to paste Mermaid or a bot
+// definition instead of uploading a file
+function FlowSource({ format, onFormatChange, text, onTextChange, onSubmit }) {
+  const current = SOURCE_FORMATS.find((item) => item.value === format);
+
+  return (
+    <div className="mb-6 text-right">
+      <div className="flex flex-wrap gap-2 mb-4">
+        {SOURCE_FORMATS.map((item) => (
+          <button
+            key={item.value}
+            type="button"
+            onClick={() => onFormatChange(item.value)}
+            className={`px-4 py-2 rounded-lg border-2 font-semibold transition-all ${
+              item.value === format
+                ? 'border-purple-500 bg-purple-50 text-purple-700'
+                : 'border-gray-200 text-gray-600 hover:border-purple-300'
+            }`}
+          >
+            {item.label}
+          </button>
+        ))}
+      </div>
+
+      {current.pasteName && (
+        <div className="bg-gray-50 rounded-lg p-4">
+          <label className="block font-semibold text-gray-700 mb-2" htmlFor="flow-source-text">
+            📋 הדבק את הפלואו כטקסט
+          </label>
+          <textarea
+            id="flow-source-text"
+            value={text}
+            onChange={(e) => onTextChange(e.target.value)}
+            placeholder={current.placeholder}
+            rows={10}
+            dir="ltr"
+            className="w-full border border-gray-300 rounded-md p-2 font-mono text-sm"
+          />
+          <button
+            type="button"
+            onClick={onSubmit}
+            disabled={!text.trim()}
+            className="mt-3 px-6 py-2 bg-gradient-to-r from-purple-600 to-indigo-600 text-white rounded-lg font-semibold hover:shadow-lg transition-all disabled:opacity-50"
+          >
+            המשך עם הטקסט
+          </button>
+        </div>
+      )}
+      {current.pasteName && <p className="text-sm text-gray-600 mt-4">או העלה קובץ:</p>}
+    </div>
+  );
+}
+
+export default FlowSource;
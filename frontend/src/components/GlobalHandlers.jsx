@@ -0,0 +1,126 @@
+import React from 'react';
+import { GLOBAL_HANDLERS_DEFAULTS } from 'commbox-converter/src/settings.js';
+
+const BUILT_IN_HANDLERS = [
+  { kind: 'transfer', label: 'מעבר לנציג' },
+  { kind: 'error', label: 'שגיאה' },
+  { kind: 'unknown', label: 'לא ידוע' },
+];
+
+const HANDLER_TYPES = [
+  { value: 'message', label: 'הודעה' },
+  { value: 'transfer', label: 'מעבר לנציג' },
+  { value: 'end', label: 'סיום' },
+  { value: 'error', label: 'שגיאה' },
+  { value: 'unknown', label: 'לא ידוע' },
+];
+
+const inputClassName = 'border border-gray-300 rounded-md px-2 py-1 text-sm';
+
+// Handlers of the "תהליכים קבועים" block - the built-in ones and extra handlers
+function GlobalHandlers({ handlers, onChange }) {
+  const update = (key, value) => onChange({ ...handlers, [key]: value });
+
+  const updateExtra = (index, key, value) => {
+    update('extra', handlers.extra.map((handler, i) => (i === index ? { ...handler, [key]: value } : handler)));
+  };
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4 mb-6 text-right">
+      <p className="font-semibold text-gray-700 mb-3">🛟 תהליכים קבועים</p>
+      <div className="grid sm:grid-cols-2 gap-4 mb-4">
+        <label className="flex flex-col gap-1 text-sm text-gray-700">
+          <span>טקסט הבלוק</span>
+          <input value={handlers.text} onChange={(e) => update('text', e.target.value)} className={inputClassName} />
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={handlers.fromDiagram}
+            onChange={(e) => update('fromDiagram', e.target.checked)}
+            className="accent-purple-600"
+          />
+          <span>השתמש בנודי מעבר לנציג, שגיאה ולא ידוע מהדיאגרמה</span>
+        </label>
+      </div>
+
+      <div className="space-y-3 mb-4">
+        {BUILT_IN_HANDLERS.map(({ kind, label }) => (
+          <div key={kind} className="grid sm:grid-cols-[auto_1fr_2fr] gap-2 items-center">
+            <label className="flex items-center gap-2 text-sm text-gray-700 whitespace-nowrap">
+              <input
+                type="checkbox"
+                checked={handlers[kind] !== false}
+                onChange={(e) => update(kind, e.target.checked ? { ...GLOBAL_HANDLERS_DEFAULTS[kind] } : false)}
+                className="accent-purple-600"
+              />
+              <span>{label}</span>
+            </label>
+            {handlers[kind] !== false && (
+              <>
+                <input
+                  value={handlers[kind].text}
+                  onChange={(e) => update(kind, { ...handlers[kind], text: e.target.value })}
+                  placeholder="טקסט"
+                  className={inputClassName}
+                />
+                <input
+                  value={handlers[kind].message}
+                  onChange={(e) => update(kind, { ...handlers[kind], message: e.target.value })}
+                  placeholder="הודעה"
+                  className={inputClassName}
+                />
+              </>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <p className="text-sm font-semibold text-gray-700 mb-2">תהליכים נוספים</p>
+      <div className="space-y-2">
+        {handlers.extra.map((handler, index) => (
+          <div key={index} className="grid sm:grid-cols-[1fr_2fr_auto_auto] gap-2 items-center">
+            <input
+              value={handler.text}
+              onChange={(e) => updateExtra(index, 'text', e.target.value)}
+              placeholder="טקסט (למשל: מחוץ לשעות הפעילות)"
+              className={inputClassName}
+            />
+            <input
+              value={handler.message}
+              onChange={(e) => updateExtra(index, 'message', e.target.value)}
+              placeholder="הודעה"
+              className={inputClassName}
+            />
+            <select
+              value={handler.type}
+              onChange={(e) => updateExtra(index, 'type', e.target.value)}
+              className={inputClassName}
+            >
+              {HANDLER_TYPES.map((type) => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => update('extra', handlers.extra.filter((_, i) => i !== index))}
+              className="px-2 text-red-600 hover:text-red-800"
+              title="הסר"
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+      </div>
+      <button
+        type="button"
+        onClick={() => update('extra', [...handlers.extra, { text: '', message: '', type: 'message' }])}
+        className="text-sm text-purple-600 hover:underline mt-2"
+      >
+        + הוסף תהליך
+      </button>
+    </div>
+  );
+}
+
+export default GlobalHandlers;
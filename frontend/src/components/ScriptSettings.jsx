@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import { SCRIPT_SETTINGS_DEFAULTS as HEADER_DEFAULTS, GLOBAL_HANDLERS_DEFAULTS } from 'commbox-converter/src/settings.js';
+import GlobalHandlers from './GlobalHandlers.jsx';
+
+// The header defaults come from the conversion engine, with the global handlers
+// edited on the same step
+export const SCRIPT_SETTINGS_DEFAULTS = {
+  ...HEADER_DEFAULTS,
+  globalHandlers: GLOBAL_HANDLERS_DEFAULTS,
+};
+
+// Settings that point at a node of the current diagram - not kept in presets
+const NODE_SETTINGS = ['endNodeId', 'genericDelayJumpNode'];
+const PRESETS_KEY = 'commbox-script-settings-presets';
+
+const TEXT_FIELDS = [
+  { key: 'name', label: 'שם הסקריפט', placeholder: 'Bot Generated <תאריך>' },
+  { key: 'brand', label: 'Brand', dir: 'ltr' },
+  { key: 'seedId', label: 'seedId', type: 'number', dir: 'ltr' },
+  { key: 'genericDelayJumpTime', label: 'זמן המתנה לקפיצה (genericDelayJumpTime)', dir: 'ltr' },
+  { key: 'genericRedisplayTime', label: 'זמן הצגה חוזרת (genericRedisplayTime)', dir: 'ltr' },
+  { key: 'genericRedisplayMessage', label: 'הודעת הצגה חוזרת (genericRedisplayMessage)' },
+  { key: 'dataContextExpirationTime', label: 'תפוגת נתוני שיחה (dataContextExpirationTime)', dir: 'ltr' },
+  { key: 'assistantId', label: 'assistantId', dir: 'ltr' },
+];
+
+const loadPresets = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PRESETS_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+// Script header settings of the generated <SCRIPT> and its global handlers,
+// with presets saved in the browser
+function ScriptSettings({ settings, onChange, pages }) {
+  const [presets, setPresets] = useState(loadPresets);
+  const [presetName, setPresetName] = useState('');
+
+  const update = (key, value) => onChange({ ...settings, [key]: value });
+
+  const savePresets = (next) => {
+    setPresets(next);
+    localStorage.setItem(PRESETS_KEY, JSON.stringify(next));
+  };
+
+  const savePreset = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    const preset = { ...settings };
+    NODE_SETTINGS.forEach((key) => delete preset[key]);
+    savePresets({ ...presets, [name]: preset });
+  };
+
+  const applyPreset = (name) => {
+    setPresetName(name);
+    if (presets[name]) {
+      onChange({ ...SCRIPT_SETTINGS_DEFAULTS, ...presets[name], endNodeId: settings.endNodeId, genericDelayJumpNode: settings.genericDelayJumpNode });
+    }
+  };
+
+  const deletePreset = () => {
+    const next = { ...presets };
+    delete next[presetName];
+    savePresets(next);
+    setPresetName('');
+  };
+
+  const nodeSelect = (key, label) => (
+    <label className="flex flex-col gap-1 text-sm text-gray-700">
+      <span>{label}</span>
+      <select
+        value={settings[key]}
+        onChange={(e) => update(key, e.target.value)}
+        className="border border-gray-300 rounded-md px-2 py-1"
+      >
+        <option value="">ללא</option>
+        {pages.map((page) => (
+          <optgroup key={page.id} label={page.name}>
+            {(page.nodes || []).map((node) => (
+              <option key={node.id} value={node.id}>{node.label || node.id}</option>
+            ))}
+          </optgroup>
+        ))}
+      </select>
+    </label>
+  );
+
+  return (
+    <div className="text-right">
+      <div className="bg-gray-50 rounded-lg p-4 mb-6">
+        <p className="font-semibold text-gray-700 mb-3">💾 פריסטים</p>
+        <div className="flex flex-col sm:flex-row gap-2">
+          <input
+            list="script-settings-presets"
+            value={presetName}
+            onChange={(e) => applyPreset(e.target.value)}
+            placeholder="שם פריסט"
+            className="flex-1 border border-gray-300 rounded-md px-2 py-1"
+          />
+          <datalist id="script-settings-presets">
+            {Object.keys(presets).map((name) => <option key={name} value={name} />)}
+          </datalist>
+          <button
+            type="button"
+            onClick={savePreset}
+            disabled={!presetName.trim()}
+            className="px-4 py-1 bg-purple-600 text-white rounded-md disabled:opacity-50"
+          >
+            שמור
+          </button>
+          <button
+            type="button"
+            onClick={deletePreset}
+            disabled={!presets[presetName]}
+            className="px-4 py-1 border border-gray-300 text-gray-700 rounded-md disabled:opacity-50"
+          >
+            מחק
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-gray-50 rounded-lg p-4 mb-6 grid sm:grid-cols-2 gap-4">
+        {TEXT_FIELDS.map((field) => (
+          <label key={field.key} className="flex flex-col gap-1 text-sm text-gray-700">
+            <span>{field.label}</span>
+            <input
+              type={field.type || 'text'}
+              value={settings[field.key]}
+              onChange={(e) => update(field.key, e.target.value)}
+              placeholder={field.placeholder}
+              dir={field.dir}
+              className="border border-gray-300 rounded-md px-2 py-1"
+            />
+          </label>
+        ))}
+        {nodeSelect('endNodeId', 'נוד סיום (endNodeId)')}
+        {nodeSelect('genericDelayJumpNode', 'נוד לקפיצה אחרי המתנה (genericDelayJumpNode)')}
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={settings.allowUsingAI}
+            onChange={(e) => update('allowUsingAI', e.target.checked)}
+            className="accent-purple-600"
+          />
+          <span>אפשר שימוש ב-AI (allowUsingAI)</span>
+        </label>
+      </div>
+
+      <GlobalHandlers handlers={settings.globalHandlers} onChange={(handlers) => update('globalHandlers', handlers)} />
+    </div>
+  );
+}
+
+export default ScriptSettings;
@@ -0,0 +1,155 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { FIXED_NODE_IDS } from 'commbox-converter/src/settings.js';
+
+const ROLE_LABELS = {
+  node: 'צורה',
+  option: 'תווית של חיבור (נוד בחירה)',
+  jump: 'חיבור (קפיצה)',
+  page: 'עמוד',
+  handler: 'תהליך קבוע מההגדרות',
+};
+
+// Icon of a generated node by the Commbox properties that give its type
+const nodeIcon = (node) => {
+  if (node.parent === '#') return '🚀';
+  if (node.jumpNode) return '↪️';
+  if (node.step === 'agent_node') return '🎧';
+  if (node.step === 'condition_node') return '🔀';
+  if (node.error) return '⛔';
+  if (node.unknown) return '❓';
+  if (node.end) return '🏁';
+  if (node.d_e) return '⌨️';
+  if (node.id === FIXED_NODE_IDS.processes) return '🛟';
+  return '💬';
+};
+
+// Nodes of a script array by their parent id
+const groupByParent = (nodes) => {
+  const children = new Map();
+  nodes.forEach((node) => {
+    children.set(node.parent, [...(children.get(node.parent) || []), node]);
+  });
+  return children;
+};
+
+// Collapsible tree of the generated scripts, with the JSON and the Draw.io
+// source of the selected node
+function ScriptTree({ scripts, idManifest }) {
+  const [scriptIndex, setScriptIndex] = useState(0);
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const [selectedId, setSelectedId] = useState(null);
+
+  // A new conversion is shown from its first script, fully expanded
+  useEffect(() => {
+    setScriptIndex(0);
+    setCollapsed(new Set());
+    setSelectedId(null);
+  }, [scripts]);
+
+  const script = scripts?.[scriptIndex];
+  const nodes = useMemo(() => (script ? script.scriptArray.slice(1) : []), [script]);
+  const children = useMemo(() => groupByParent(nodes), [nodes]);
+  const sources = useMemo(
+    () => new Map((idManifest?.nodes || []).map((entry) => [entry.nodeId, entry])),
+    [idManifest]
+  );
+
+  if (!script) return null;
+
+  const selected = nodes.find((node) => node.id === selectedId);
+  const source = selected && sources.get(selected.id);
+
+  const toggle = (id) => {
+    const next = new Set(collapsed);
+    if (next.has(id)) {
+      next.delete(id);
+    } else {
+      next.add(id);
+    }
+    setCollapsed(next);
+  };
+
+  const renderNode = (node, depth) => {
+    const nodeChildren = children.get(node.id) || [];
+    const isCollapsed = collapsed.has(node.id);
+    return (
+      <li key={node.id}>
+        <div
+          className={`flex items-center gap-1 rounded px-1 cursor-pointer ${selectedId === node.id ? 'bg-purple-100' : 'hover:bg-gray-100'}`}
+          style={{ paddingRight: `${depth * 16}px` }}
+          onClick={() => setSelectedId(node.id)}
+        >
+          <button
+            type="button"
+            onClick={(e) => {
+              e.stopPropagation();
+              toggle(node.id);
+            }}
+            className={`w-4 text-gray-500 ${nodeChildren.length === 0 ? 'invisible' : ''}`}
+          >
+            {isCollapsed ? '◀' : '▼'}
+          </button>
+          <span>{nodeIcon(node)}</span>
+          <span className="text-gray-800 truncate">{node.text}</span>
+          {node.jumpNode && <span className="font-mono text-xs text-gray-500" dir="ltr">→ {node.jumpNode}</span>}
+        </div>
+        {!isCollapsed && nodeChildren.length > 0 && (
+          <ul>{nodeChildren.map((child) => renderNode(child, depth + 1))}</ul>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6 text-right">
+      <div className="flex items-center justify-between mb-3">
+        <p className="font-semibold text-gray-700">🌳 תצוגת הבוט</p>
+        {scripts.length > 1 && (
+          <select
+            value={scriptIndex}
+            onChange={(e) => {
+              setScriptIndex(Number(e.target.value));
+              setSelectedId(null);
+            }}
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+          >
+            {scripts.map((item, index) => (
+              <option key={index} value={index}>{item.name || `סקריפט ${index + 1}`}</option>
+            ))}
+          </select>
+        )}
+      </div>
+      <div className="grid md:grid-cols-2 gap-4">
+        <ul className="text-sm max-h-96 overflow-auto bg-white border border-gray-200 rounded-md p-2">
+          {(children.get('#') || []).map((node) => renderNode(node, 0))}
+        </ul>
+        <div className="text-sm max-h-96 overflow-auto bg-white border border-gray-200 rounded-md p-2">
+          {selected ? (
+            <>
+              <p className="text-gray-700 mb-2">
+                {source?.cellId ? (
+                  <>
+                    מקור: {ROLE_LABELS[source.role] || source.role}{' '}
+                    <span className="font-mono" dir="ltr">{source.cellId}</span>
+                    {source.pageName && <span> בעמוד {source.pageName}</span>}
+                  </>
+                ) : source?.role === 'page' ? (
+                  <>מקור: העמוד {source.label}</>
+                ) : (
+                  <>נוצר על ידי הממיר - אין לו צורה בדיאגרמה</>
+                )}
+              </p>
+              <pre className="text-xs font-mono bg-gray-900 text-green-400 rounded p-2 whitespace-pre-wrap" dir="ltr">
+                {JSON.stringify(selected, null, 2)}
+              </pre>
+            </>
+          ) : (
+            <p className="text-gray-500">בחר נוד כדי לראות את ה-JSON שלו ואת הצורה שממנה נוצר</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ScriptTree;
@@ -0,0 +1,53 @@
+import React from 'react';
+
+const SEVERITY_STYLES = {
+  error: { label: 'שגיאה', className: 'bg-red-100 text-red-700' },
+  warning: { label: 'אזהרה', className: 'bg-yellow-100 text-yellow-800' },
+};
+
+// Diagram validation findings (or conversion warnings), errors first
+function ValidationReport({ findings }) {
+  if (!findings) return null;
+
+  if (findings.length === 0) {
+    return (
+      <div className="bg-green-50 border border-green-200 rounded-lg p-4 mb-6 text-right text-green-800">
+        ✅ לא נמצאו בעיות בדיאגרמה
+      </div>
+    );
+  }
+
+  const sorted = [...findings].sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+  const showPage = new Set(findings.map((finding) => finding.pageId)).size > 1;
+  const errors = findings.filter((finding) => finding.severity === 'error').length;
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6 text-right">
+      <p className="font-semibold text-gray-700 mb-3">
+        🩺 נמצאו {errors} שגיאות ו-{findings.length - errors} אזהרות
+      </p>
+      <ul className="space-y-2 max-h-64 overflow-auto">
+        {sorted.map((finding, index) => {
+          const severity = SEVERITY_STYLES[finding.severity] || SEVERITY_STYLES.warning;
+          return (
+            <li key={index} className="flex items-start gap-2 text-sm">
+              <span className={`px-2 py-0.5 rounded-full text-xs font-semibold whitespace-nowrap ${severity.className}`}>
+                {severity.label}
+              </span>
+              <div>
+                <p className="text-gray-800">{finding.message}</p>
+                <p className="text-xs text-gray-500">
+                  {finding.cellId && <span className="font-mono" dir="ltr">{finding.cellId}</span>}
+                  {finding.label && <span> · {finding.label}</span>}
+                  {showPage && <span> · {finding.pageName}</span>}
+                </p>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default ValidationReport;
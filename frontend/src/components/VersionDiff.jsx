@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+
+const VERSIONS = [
+  { side: 'base', label: 'גרסה קודמת', hint: 'Draw.io או ייצוא XML של Commbox' },
+  { side: 'head', label: 'גרסה חדשה', hint: 'Draw.io או ייצוא XML של Commbox' },
+];
+
+const CHANGE_STYLES = {
+  added: { label: 'נוסף', className: 'bg-green-100 text-green-700', rowClassName: 'bg-green-50' },
+  removed: { label: 'נמחק', className: 'bg-red-100 text-red-700', rowClassName: 'bg-red-50' },
+  changed: { label: 'השתנה', className: 'bg-yellow-100 text-yellow-800', rowClassName: '' },
+};
+
+const KIND_LABELS = {
+  reparented: 'הועבר',
+  'text-changed': 'טקסט',
+  'type-changed': 'סוג',
+  'jump-changed': 'יעד קפיצה',
+};
+
+const TYPE_LABELS = {
+  message: 'הודעה',
+  decision: 'החלטה',
+  input: 'קלט',
+  transfer: 'מעבר לנציג',
+  unknown: 'לא ידוע',
+  error: 'שגיאה',
+  end: 'סיום',
+  jump: 'קפיצה',
+};
+
+const VERSION_KIND_LABELS = { drawio: 'Draw.io', commbox: 'Commbox XML' };
+
+const CHANGED_CLASS_NAME = 'bg-yellow-100 rounded px-0.5';
+
+const htmlToText = (html) => html.replace(/<br\s*\/?>/gi, ' ').replace(/<[^>]+>/g, '').trim();
+
+// Side-by-side node diff of two bot versions - pick the two files, then every
+// added, removed and changed node with the previous version next to the new one
+function VersionDiff({ files, onFileChange, onCompare, isComparing, diff }) {
+  const [change, setChange] = useState('');
+
+  const renderSide = (side, kinds) => {
+    if (!side) return <span className="text-gray-400">—</span>;
+    const highlight = (kind) => (kinds.includes(kind) ? CHANGED_CLASS_NAME : '');
+    return (
+      <>
+        <p className={highlight('text-changed')}>{side.text}</p>
+        {side.bodyHtml && <p className={`text-xs text-gray-600 ${highlight('text-changed')}`}>{htmlToText(side.bodyHtml)}</p>}
+        <p className="text-xs text-gray-500">
+          <span className={highlight('type-changed')}>{TYPE_LABELS[side.type] || side.type}</span>
+          {' · '}
+          <span className={highlight('reparented')}>
+            תחת {side.parentText || <span className="font-mono" dir="ltr">{side.parent}</span>}
+          </span>
+          {side.jumpNode && (
+            <span className={highlight('jump-changed')}>
+              {' · '}
+              <span className="font-mono" dir="ltr">→ {side.jumpNode}</span>
+            </span>
+          )}
+        </p>
+      </>
+    );
+  };
+
+  const changes = diff ? diff.changes.filter((entry) => !change || entry.change === change) : [];
+  const changedCount = diff ? diff.changes.filter((entry) => entry.change === 'changed').length : 0;
+
+  return (
+    <div className="text-right">
+      <div className="grid sm:grid-cols-2 gap-4 mb-4">
+        {VERSIONS.map(({ side, label, hint }) => (
+          <label key={side} className="flex flex-col gap-1 bg-gray-50 border border-gray-200 rounded-lg p-4 text-gray-700">
+            <span className="font-semibold">{label}</span>
+            <input
+              type="file"
+              accept=".drawio,.xml,.png,.svg"
+              onChange={(e) => onFileChange(side, e.target.files[0] || null)}
+              className="text-sm"
+            />
+            <span className="text-xs text-gray-500">{files[side] ? files[side].name : hint}</span>
+          </label>
+        ))}
+      </div>
+
+      <button
+        type="button"
+        onClick={onCompare}
+        disabled={isComparing || !files.base || !files.head}
+        className="block mx-auto mb-6 px-8 py-3 bg-gradient-to-r from-purple-600 to-indigo-600 text-white rounded-full font-bold hover:shadow-xl transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {isComparing ? 'משווה את הגרסאות...' : '🔍 השווה'}
+      </button>
+
+      {diff && (
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+            <p className="font-semibold text-gray-700">
+              ⚖️ {diff.summary.added} נוספו, {diff.summary.removed} נמחקו, {changedCount} השתנו, {diff.summary.unchanged} ללא שינוי
+            </p>
+            <select value={change} onChange={(e) => setChange(e.target.value)} className="border border-gray-300 rounded-md px-2 py-1 text-sm">
+              <option value="">כל השינויים</option>
+              {Object.entries(CHANGE_STYLES).map(([value, { label }]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="max-h-[32rem] overflow-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-gray-500 border-b border-gray-200">
+                  <th className="py-1 text-right font-medium">נוד</th>
+                  <th className="py-1 text-right font-medium">
+                    {diff.base.filename} <span className="text-xs">({VERSION_KIND_LABELS[diff.base.kind]})</span>
+                  </th>
+                  <th className="py-1 text-right font-medium">
+                    {diff.head.filename} <span className="text-xs">({VERSION_KIND_LABELS[diff.head.kind]})</span>
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {changes.map((entry) => {
+                  const style = CHANGE_STYLES[entry.change];
+                  return (
+                    <tr key={`${entry.change}:${entry.script}:${entry.nodeId}`} className={`border-b border-gray-100 align-top ${style.rowClassName}`}>
+                      <td className="py-1 pl-2 text-xs text-gray-500 whitespace-nowrap">
+                        <span className={`px-2 py-0.5 rounded-full font-semibold ${style.className}`}>{style.label}</span>
+                        <p className="font-mono mt-1" dir="ltr">{entry.nodeId}</p>
+                        {entry.cellId && <p>תא <span className="font-mono" dir="ltr">{entry.cellId}</span></p>}
+                        {entry.pageName && <p>{entry.pageName}</p>}
+                        {entry.kinds.length > 0 && <p>{entry.kinds.map((kind) => KIND_LABELS[kind] || kind).join(', ')}</p>}
+                      </td>
+                      <td className="py-1 pl-2 text-gray-800">{renderSide(entry.base, entry.kinds)}</td>
+                      <td className="py-1 text-gray-800">{renderSide(entry.head, entry.kinds)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            {diff.changes.length === 0 && <p className="text-sm text-gray-500 py-2">אין הבדלים בין הגרסאות</p>}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default VersionDiff;
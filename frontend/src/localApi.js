@@ -0,0 +1,52 @@
+import { convert, validate, listPages, importCommbox, compareVersions, createBundle, bytesToBase64 } from 'commbox-converter';
+
+// The converter endpoints of the API, run in the browser for the local mode -
+// the same responses as backend/src/index.js, without uploading the files
+
+const fileOptions = (file) => ({ filename: file.filename, mimeType: file.mimeType });
+
+const ENDPOINTS = {
+  pages: async (fields, { drawioFile }) => ({ pages: await listPages(drawioFile.input, { ...fileOptions(drawioFile), format: fields.format }) }),
+
+  validate: (fields, { drawioFile }) => validate(drawioFile.input, { ...fields, ...fileOptions(drawioFile) }),
+
+  convert: async (fields, { drawioFile, commboxFile }) => {
+    const { files, ...result } = await convert(drawioFile.input, {
+      ...fields,
+      ...fileOptions(drawioFile),
+      existingExport: commboxFile && commboxFile.input,
+    });
+    const filename = `commbox_bot_${Date.now()}.xml`;
+    const bundle = files.length > 0 ? createBundle(result.xml, filename, files) : null;
+    return {
+      ...result,
+      filename,
+      mxGraphModelFilename: `mxGraphModel_${Date.now()}.xml`,
+      idManifestFilename: `commbox_ids_${Date.now()}.json`,
+      attachmentFiles: files.map((file) => ({ name: file.name, mimeType: file.mimeType, size: file.data.length })),
+      bundle: bundle && bytesToBase64(bundle),
+      bundleFilename: bundle && filename.replace(/\.xml$/, '.zip'),
+    };
+  },
+
+  import: async (fields, { commboxFile }) => ({
+    ...(await importCommbox(commboxFile.input)),
+    filename: `commbox_import_${Date.now()}.drawio`,
+  }),
+
+  diff: (fields, { baseFile, headFile }) => compareVersions(baseFile, headFile, fields),
+};
+
+// Run an endpoint on a form - resolves like axios.post, with the response as data
+export const runLocally = async (endpoint, formData) => {
+  const fields = {};
+  const files = {};
+  for (const [name, value] of formData.entries()) {
+    if (value instanceof Blob) {
+      files[name] = { input: new Uint8Array(await value.arrayBuffer()), filename: value.name || '', mimeType: value.type };
+    } else {
+      fields[name] = value;
+    }
+  }
+  return { data: { success: true, ...(await ENDPOINTS[endpoint](fields, files)) } };
+};
@@ -4,6 +4,16 @@ import react from '@vitejs/plugin-react'
 // https://vitejs.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // The conversion engine (../core) is a linked CommonJS package - pre-bundle
+  // it in dev and let the build convert it like the packages in node_modules
+  optimizeDeps: {
+    include: ['commbox-converter', 'commbox-converter/src/settings.js']
+  },
+  build: {
+    commonjsOptions: {
+      include: [/core[\\/]/, /node_modules/]
+    }
+  },
   server: {
     port: 5173,
     proxy: {